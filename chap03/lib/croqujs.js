@@ -7,7 +7,7 @@
  * （ここでの紙は、HTML5のCanvas要素のCanvasRenderingContext2Dを拡張したもののことです）
  *
  * @author Takuto Yanagida
- * @version 2021-05-21
+ * @version 2026-10-19
  */
 
 
@@ -19,29 +19,52 @@ const CROQUJS = (function () {
 	'use strict';
 
 
-	// 共通のCSS
-	const s = document.createElement('style');
-	s.innerHTML = `
-		* {
-			box-sizing: border-box;
-		}
-		body {
-			display    : flex;
-			align-items: flex-start;
-			flex-wrap  : wrap;
-			margin     : 0;
-			padding    : 2px;
-			white-space: nowrap;
-		}
-	`;
-	document.head.appendChild(s);
+	// ブラウザの外（ヘッドレス）で動いている時は、画面の準備をしない
+	if (typeof document !== 'undefined') {
+		// 共通のCSS
+		const s = document.createElement('style');
+		s.innerHTML = `
+			* {
+				box-sizing: border-box;
+			}
+			body {
+				display    : flex;
+				align-items: flex-start;
+				flex-wrap  : wrap;
+				margin     : 0;
+				padding    : 2px;
+				white-space: nowrap;
+			}
+		`;
+		document.head.appendChild(s);
 
-	// すべてのプログラム（スクリプト）を読み込み終わったらsetup関数を呼び出すように、イベント・リスナーを登録する
-	window.addEventListener('load', () => {
-		if (typeof setup === 'function') {
-			setup();
-		}
-	}, true);
+		// すべてのプログラム（スクリプト）を読み込み終わったらsetup関数を呼び出すように、イベント・リスナーを登録する
+		// preload関数があれば先に呼び出し、素材を読み込み終わるのを待つ（プロミスを返したら、それも待つ）
+		window.addEventListener('load', () => {
+			let hook = null;
+			// ライブラリの中のpreload関数と区別するため、windowから取り出す
+			const pre = window.preload;
+			if (typeof pre === 'function') {
+				const as = pre();
+				if (as && typeof as.then === 'function') hook = as;
+				else if (as && typeof as === 'object') CROQUJS.preload(as);
+			}
+			const callSetup = () => {
+				if (typeof setup === 'function') {
+					setup(CROQUJS.assets());
+				}
+			};
+			if (hook === null && PRELOADS.length === 0) {
+				callSetup();
+				return;
+			}
+			// 読み込めなかった素材があっても、エラーを表示してからsetup関数を呼び出す
+			Promise.resolve(hook).catch(e => console.error(e)).then(settlePreloads).then((es) => {
+				for (const e of es) console.error(e);
+				callSetup();
+			});
+		}, true);
+	}
 
 
 	// ペーパー（CROQUJS.Paper) ------------------------------------------------
@@ -53,7 +76,7 @@ const CROQUJS = (function () {
 	/**
 	 * キー操作処理
 	 * @author Takuto Yanagida
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class KeyHandler {
 
@@ -67,29 +90,81 @@ const CROQUJS = (function () {
 			this._onDown = null;
 			this._onUp = null;
 
+			this._bindings = {};
+			this._repeats = [];
+			this._downQueue = [];
+			this._upQueue = [];
+			this._pressed = [];
+			this._released = [];
+
 			// キー・ダウン（キーが押された）イベントに対応する
 			can.addEventListener('keydown', (e) => {
-				if (!this._keys[e.key]) {
+				const k = keyName(e.key);
+				if (!this._keys[k]) {
 					if (this._onDown !== null) {
 						this._onDown(e.key, e);
 						e.preventDefault();
 					}
-					this._keys[e.key] = true;
+					this._keys[k] = true;
+					this._downQueue.push(k);
+					if (this._callBinding(e)) e.preventDefault();
 				}
 			}, true);
 
 			// キー・アップ（キーが離された）イベントに対応する
 			can.addEventListener('keyup', (e) => {
-				if (this._keys[e.key]) {
+				const k = keyName(e.key);
+				if (this._keys[k]) {
 					if (this._onUp !== null) {
 						this._onUp(e.key, e);
 						e.preventDefault();
 					}
-					this._keys[e.key] = false;
+					this._keys[k] = false;
+					this._upQueue.push(k);
+					this._repeats = this._repeats.filter(r => r.key !== k);
 				}
 			}, true);
 		}
 
+		/**
+		 * キー・ダウン・イベントに合うキーの組み合わせの関数を呼ぶ（ライブラリ内だけで使用）
+		 * @private
+		 * @param {KeyboardEvent} e キーボード・イベント
+		 * @return {boolean} 関数を呼んだか
+		 */
+		_callBinding(e) {
+			const k = keyName(e.key);
+			const mod = (e.ctrlKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') + (e.metaKey ? 'Meta+' : '');
+			let b = this._bindings[mod + (e.shiftKey ? 'Shift+' : '') + k];
+			// 記号などはシフト・キーを押さないと入力できないことがあるので、シフト無しも調べる
+			if (b === undefined && e.shiftKey && k.length === 1 && k.toUpperCase() === k) b = this._bindings[mod + k];
+			if (b === undefined) return false;
+
+			b.handler(k, e);
+			if (0 < b.rate) this._repeats.push({ key: k, binding: b, time: 1000 / b.rate - b.delay });
+			return true;
+		}
+
+		/**
+		 * フレームごとの処理をする（紙だけで使用）
+		 * @param {number} deltaTime 時間差
+		 */
+		update(deltaTime) {
+			this._pressed = this._downQueue;
+			this._released = this._upQueue;
+			this._downQueue = [];
+			this._upQueue = [];
+
+			for (const r of this._repeats) {
+				const interval = 1000 / r.binding.rate;
+				r.time += deltaTime;
+				while (interval <= r.time && this._repeats.includes(r)) {
+					r.time -= interval;
+					r.binding.handler(r.key, null);
+				}
+			}
+		}
+
 
 		// 公開関数 ----------------------------------------------------------------
 
@@ -146,13 +221,98 @@ const CROQUJS = (function () {
 			return this._keys['ArrowDown'];
 		}
 
+		/**
+		 * キーが押されているか？
+		 * @param {...string} keys キーの名前（どれか1つでも押されていればtrue、何も指定しなければどれかのキー）
+		 * @return {boolean} キーが押されているか
+		 */
+		isKeyDown(...keys) {
+			if (keys.length === 0) return Object.values(this._keys).some(Boolean);
+			return keys.some(k => Boolean(this._keys[keyName(KEY_ALIASES[k] || k)]));
+		}
+
+		/**
+		 * キーの組み合わせに関数を割り当てる
+		 * @param {string} keys キーの組み合わせ（'Ctrl+Z'、'Shift+ArrowUp'など）
+		 * @param {function(string, ?KeyboardEvent):void} handler 関数（nullなら割り当てをやめる）
+		 * @param {object=} [opt={}] オプション
+		 * @param {number=} [opt.rate=0] 押し続けた時のくり返しの回数（1秒あたり、0ならくり返さない）
+		 * @param {number=} [opt.delay=500] くり返しを始めるまでの時間[ms]
+		 */
+		bindKey(keys, handler, { rate = 0, delay = 500 } = {}) {
+			const id = parseKeys(keys);
+			this._repeats = this._repeats.filter(r => r.binding !== this._bindings[id]);
+			if (handler === null) {
+				delete this._bindings[id];
+			} else {
+				this._bindings[id] = { handler, rate, delay };
+			}
+		}
+
+		/**
+		 * キーの組み合わせに割り当てられている関数を得る（紙だけで使用）
+		 * @param {string} keys キーの組み合わせ（'Ctrl+Z'、'Shift+ArrowUp'など）
+		 * @return {object?} 割り当て（handler、rate、delay）
+		 */
+		binding(keys) {
+			const b = this._bindings[parseKeys(keys)];
+			return (b === undefined) ? null : Object.assign({}, b);
+		}
+
+		/**
+		 * 前のフレームから押されたキー
+		 * @return {string[]} キーの名前の配列
+		 */
+		keysPressed() {
+			return this._pressed.concat();
+		}
+
+		/**
+		 * 前のフレームから離されたキー
+		 * @return {string[]} キーの名前の配列
+		 */
+		keysReleased() {
+			return this._released.concat();
+		}
+
 	}
 
+	const KEY_ALIASES = { 'Space': ' ', 'Esc': 'Escape', 'Up': 'ArrowUp', 'Down': 'ArrowDown', 'Left': 'ArrowLeft', 'Right': 'ArrowRight' };
+	const KEY_MODIFIERS = { 'ctrl': 'Ctrl', 'control': 'Ctrl', 'alt': 'Alt', 'option': 'Alt', 'shift': 'Shift', 'meta': 'Meta', 'cmd': 'Meta' };
+
+	/**
+	 * キーの名前をそろえる（英字は小文字にする）（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} key キーの名前
+	 * @return {string} キーの名前
+	 */
+	const keyName = function (key) {
+		return (key.length === 1) ? key.toLowerCase() : key;
+	};
+
+	/**
+	 * キーの組み合わせの文字列を、決まった順番の形にする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} keys キーの組み合わせ（'Ctrl+Z'など）
+	 * @return {string} キーの組み合わせ（'Ctrl+Alt+Meta+Shift+z'の順）
+	 */
+	const parseKeys = function (keys) {
+		const ps = (keys === '+') ? ['+'] : keys.split(/\+(?!$)/);
+		const key = ps.pop();
+		const ms = ps.map((m) => {
+			const n = KEY_MODIFIERS[m.toLowerCase()];
+			if (n === undefined) throw new Error(`CROQUJS::bindKey: 「${m}」は修飾キーではありません。`);
+			return n;
+		});
+		const mod = ['Ctrl', 'Alt', 'Meta', 'Shift'].filter(m => ms.includes(m)).map(m => m + '+').join('');
+		return mod + keyName(KEY_ALIASES[key] || key);
+	};
+
 
 	/**
 	 * マウス操作処理
 	 * @author Takuto Yanagida
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class MouseHandler {
 
@@ -177,6 +337,8 @@ const CROQUJS = (function () {
 			this._onUp = null;
 			this._onClick = null;
 			this._onWheel = null;
+			this._converter = null;
+			this._pixelRatio = 1;
 
 			// ウィンドウにイベント・リスナーをセット
 			this._onDownWinListener = this._onDownWin.bind(this);
@@ -184,16 +346,18 @@ const CROQUJS = (function () {
 			this._onUpWinListener = this._onUpWin.bind(this);
 			this._onBlurWinListener = () => { this._btns = 0; };
 
-			window.addEventListener('mousedown', this._onDownWinListener, true);
-			window.addEventListener('dragstart', this._onDownWinListener, true);
-			window.addEventListener('mousemove', this._onMoveWinListener, true);
-			window.addEventListener('drag', this._onMoveWinListener, true);
-			window.addEventListener('mouseup', this._onUpWinListener, false);
-			window.addEventListener('dragend', this._onUpWinListener, false);
-			window.addEventListener('blur', this._onBlurWinListener);
+			if (typeof window !== 'undefined') {
+				window.addEventListener('mousedown', this._onDownWinListener, true);
+				window.addEventListener('dragstart', this._onDownWinListener, true);
+				window.addEventListener('mousemove', this._onMoveWinListener, true);
+				window.addEventListener('drag', this._onMoveWinListener, true);
+				window.addEventListener('mouseup', this._onUpWinListener, false);
+				window.addEventListener('dragend', this._onUpWinListener, false);
+				window.addEventListener('blur', this._onBlurWinListener);
+			}
 
 			// キャンバスにイベント・リスナーをセット
-			if (window.PointerEvent) {
+			if (typeof window === 'undefined' || window.PointerEvent) {
 				this._canvas.addEventListener('pointerdown', this._onDownCan.bind(this), true);
 				this._canvas.addEventListener('pointermove', this._onMoveCan.bind(this), true);
 				this._canvas.addEventListener('pointerup', this._onUpCan.bind(this), false);
@@ -216,6 +380,7 @@ const CROQUJS = (function () {
 		 * イベント・リスナーを削除する
 		 */
 		removeWinListener() {
+			if (typeof window === 'undefined') return;
 			window.removeEventListener('mousedown', this._onDownWinListener, true);
 			window.removeEventListener('dragstart', this._onDownWinListener, true);
 			window.removeEventListener('mousemove', this._onMoveWinListener, true);
@@ -314,10 +479,11 @@ const CROQUJS = (function () {
 			this._setPosition(e);
 			this._setButtonCanvas(e, true);
 			if (this._onDown !== null) {
-				this._onDown(this._posX, this._posY, e);
+				this._onDown(...this._point(), e);
 				e.preventDefault();
 			}
-			this._canvas.focus();
+			// ヘッドレスのキャンバスにはフォーカスがない
+			if (this._canvas.focus) this._canvas.focus();
 		}
 
 		/**
@@ -329,7 +495,7 @@ const CROQUJS = (function () {
 			this._setPosition(e);
 			if (this._onMove !== null) {
 				// ウィンドウ外からカーソルが入った時にボタンを検出する前にイベントが発生する問題を回避するため
-				setTimeout(() => { this._onMove(this._posX, this._posY, e) }, 1);
+				setTimeout(() => { this._onMove(...this._point(), e) }, 1);
 				e.preventDefault();
 			}
 		}
@@ -343,7 +509,7 @@ const CROQUJS = (function () {
 			this._setPosition(e);
 			this._setButtonCanvas(e, false);
 			if (this._onUp !== null) {
-				this._onUp(this._posX, this._posY, e);
+				this._onUp(...this._point(), e);
 				e.preventDefault();
 			}
 		}
@@ -356,7 +522,7 @@ const CROQUJS = (function () {
 		_onClickCan(e) {
 			this._setPosition(e);
 			if (this._onClick !== null) {
-				this._onClick(this._posX, this._posY, e);
+				this._onClick(...this._point(), e);
 				e.preventDefault();
 			}
 		}
@@ -381,9 +547,11 @@ const CROQUJS = (function () {
 		_setPosition(e) {
 			// タッチの時／マウスの時
 			const ee = (e.clientX === undefined) ? e.changedTouches[0] : e;
-			const r = this._canvas.getBoundingClientRect();
-			this._posX = ee.clientX - r.left;
-			this._posY = ee.clientY - r.top;
+			const r = this._canvas.getBoundingClientRect ? this._canvas.getBoundingClientRect() : { left: 0, top: 0 };
+			// 紙が拡大・縮小して表示されている時は、紙の座標に直す
+			const pr = this._pixelRatio;
+			this._posX = (ee.clientX - r.left) * (r.width ? this._canvas.width / pr / r.width : 1);
+			this._posY = (ee.clientY - r.top) * (r.height ? this._canvas.height / pr / r.height : 1);
 
 			for (const c of this._children) {
 				c._posX = this._posX;
@@ -391,6 +559,16 @@ const CROQUJS = (function () {
 			}
 		}
 
+		/**
+		 * マウスの場所を、変換する関数があれば変換して返す（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number[]} マウスの場所
+		 */
+		_point() {
+			if (this._converter === null) return [this._posX, this._posY];
+			return this._converter(this._posX, this._posY);
+		}
+
 		/**
 		 * どのマウス・ボタンが押されたのかを記録する（ライブラリ内だけで使用）
 		 * @private
@@ -468,7 +646,7 @@ const CROQUJS = (function () {
 		 * @return {number} マウスの横の場所
 		 */
 		mouseX() {
-			return this._posX;
+			return this._point()[0];
 		}
 
 		/**
@@ -476,9 +654,45 @@ const CROQUJS = (function () {
 		 * @return {number} マウスのたての場所
 		 */
 		mouseY() {
+			return this._point()[1];
+		}
+
+		/**
+		 * キャンバス上のマウスの横の場所を返す（変換する関数があっても変換しない）
+		 * @return {number} マウスの横の場所
+		 */
+		canvasX() {
+			return this._posX;
+		}
+
+		/**
+		 * キャンバス上のマウスのたての場所を返す（変換する関数があっても変換しない）
+		 * @return {number} マウスのたての場所
+		 */
+		canvasY() {
 			return this._posY;
 		}
 
+		/**
+		 * マウスの場所を変換する関数をセットする（カメラで使用）
+		 * @param {function(number, number):number[]=} fn 関数（nullなら変換しない）
+		 * @return {function(number, number):number[]=} 関数
+		 */
+		converter(fn) {
+			if (fn === undefined) return this._converter;
+			this._converter = fn;
+		}
+
+		/**
+		 * キャンバスのピクセル比（紙だけで使用）
+		 * @param {number=} val ピクセル比
+		 * @return {number} ピクセル比
+		 */
+		pixelRatio(val) {
+			if (val === undefined) return this._pixelRatio;
+			this._pixelRatio = val;
+		}
+
 		/**
 		 * マウスの左ボタンが押されているか？
 		 * @return {boolean} マウスの左ボタンが押されているか
@@ -507,904 +721,5078 @@ const CROQUJS = (function () {
 
 
 	/**
-	 * ズーム操作処理
+	 * ポインター操作処理（マルチタッチとジェスチャー）
 	 * @author Takuto Yanagida
-	 * @version 2021-02-04
+	 * @version 2026-10-19
 	 */
-	class ZoomHandler {
+	class PointerHandler {
 
 		/**
-		 * ズーム操作処理を作る
+		 * ポインター操作処理を作る
 		 * @constructor
-		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * @param {HTMLCanvasElement} can キャンバス
 		 */
-		constructor(ctx) {
-			this._ctx = ctx;
-			this._isEnabled = true;
+		constructor(can) {
+			this._canvas = can;
+			this._pointers = new Map();
+			this._pair = null;
 
-			this._zoom    = 0;
-			this._steps   = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
-			this._scale   = 1;
-			this._viewOff = { x: 0, y: 0 };
-			this._mousePt = { x: 0, y: 0 };
+			this._onDown = null;
+			this._onMove = null;
+			this._onUp = null;
+			this._onTap = null;
+			this._onLongPress = null;
+			this._onPinch = null;
+			this._onRotate = null;
+			this._onSwipe = null;
+			this._converter = null;
+			this._pixelRatio = 1;
+
+			can.addEventListener('pointerdown', this._onPointerDown.bind(this), true);
+			can.addEventListener('pointermove', this._onPointerMove.bind(this), true);
+			can.addEventListener('pointerup', this._onPointerUp.bind(this), false);
+			can.addEventListener('pointercancel', this._onPointerCancel.bind(this), false);
+		}
 
-			this._touchPt    = { x: 0, y: 0 };
-			this._touchCount = 0;
-			this._touchDist  = 0;
 
-			ctx.canvas.addEventListener('wheel',     this._onWheel.bind(this));
-			ctx.canvas.addEventListener('mousedown', this._onMouseDown.bind(this));
-			ctx.canvas.addEventListener('mousemove', this._onMouseMove.bind(this));
+		// キャンバスからポインターのイベントを受け取る ----------------------------
 
-			ctx.canvas.addEventListener('touchstart', this._onTouchStart.bind(this));
-			ctx.canvas.addEventListener('touchmove',  this._onTouchMove.bind(this), { passive: false });
-		}
 
 		/**
-		 * マウス・ダウン（ボタンが押された）イベントに対応する（ライブラリ内だけで使用）
+		 * ポインター・ダウン・イベントに対応する（ライブラリ内だけで使用）
 		 * @private
+		 * @param {PointerEvent} e イベント
 		 */
-		_onMouseDown() {
-			if (!this._isEnabled || !this._ctx.mouseMiddle()) return;
-			this._mousePt = { x: this._ctx.mouseX(), y: this._ctx.mouseY() };
-			this._viewOff.px = this._viewOff.x;
-			this._viewOff.py = this._viewOff.y;
-		}
+		_onPointerDown(e) {
+			const [x, y] = this._toPaperPoint(e);
+			const p = {
+				id: e.pointerId, type: e.pointerType || 'mouse', pressure: e.pressure || 0,
+				x, y, startX: x, startY: y, startTime: now(),
+				isGesture: (0 < this._pointers.size), isLongPressed: false, timer: null
+			};
+			// 2本目以降の指が触れたら、タップなどではなくジェスチャー
+			for (const q of this._pointers.values()) {
+				q.isGesture = true;
+				this._clearTimer(q);
+			}
+			this._pointers.set(p.id, p);
+			if (this._canvas.setPointerCapture && e.pointerId !== undefined) {
+				try {
+					this._canvas.setPointerCapture(e.pointerId);
+				} catch (ex) {
+					// キャプチャーできないポインターは無視する
+				}
+			}
+			if (!p.isGesture && this._onLongPress !== null) {
+				p.timer = setTimeout(() => {
+					p.timer = null;
+					p.isLongPressed = true;
+					this._onLongPress(p.x, p.y, p.id);
+				}, LONG_PRESS_TIME);
+			}
+			this._pair = (2 <= this._pointers.size) ? this._measurePair() : null;
 
-		/**
-		 * マウス・ムーブ（ポインターが移動した）イベントに対応する（ライブラリ内だけで使用）
-		 * @private
-		 */
-		_onMouseMove() {
-			if (!this._isEnabled || !this._ctx.mouseMiddle()) return;
-			this._setViewOffset(
-				this._viewOff.px - (this._ctx.mouseX() - this._mousePt.x),
-				this._viewOff.py - (this._ctx.mouseY() - this._mousePt.y)
-			);
+			if (this._onDown !== null) {
+				this._onDown(x, y, p.id, e);
+				e.preventDefault();
+			}
 		}
 
 		/**
-		 * ホイール・イベントに対応する（ライブラリ内だけで使用）
+		 * ポインター・ムーブ・イベントに対応する（ライブラリ内だけで使用）
 		 * @private
-		 * @param {WheelEvent} e イベント
+		 * @param {PointerEvent} e イベント
 		 */
-		_onWheel(e) {
-			if (!this._isEnabled) return;
-			const mx = this._ctx.mouseX(), my = this._ctx.mouseY();
-
-			const px = (this._viewOff.x + mx) / this._scale;
-			const py = (this._viewOff.y + my) / this._scale;
-
-			if (0 < e.deltaY) {
-				this._zoom = Math.max(this._zoom - 1, 0);
-			} else {
-				this._zoom = Math.min(this._zoom + 1, this._steps.length - 1);
+		_onPointerMove(e) {
+			const [x, y] = this._toPaperPoint(e);
+			const p = this._pointers.get(e.pointerId);
+			if (p) {
+				p.x = x;
+				p.y = y;
+				p.pressure = e.pressure || 0;
+				if (TAP_DISTANCE < Math.hypot(x - p.startX, y - p.startY)) this._clearTimer(p);
+
+				if (this._pair !== null) {
+					const cur = this._measurePair();
+					if (this._onPinch !== null && 0 < this._pair.dist) {
+						this._onPinch(cur.dist / this._pair.dist, cur.cx, cur.cy);
+					}
+					if (this._onRotate !== null) {
+						let deg = cur.deg - this._pair.deg;
+						if (180 < deg) deg -= 360;
+						if (deg <= -180) deg += 360;
+						this._onRotate(deg, cur.cx, cur.cy);
+					}
+				}
+			}
+			if (this._onMove !== null) {
+				this._onMove(x, y, e.pointerId, e);
+				e.preventDefault();
 			}
-			this._scale = this._steps[this._zoom];
-			this._setViewOffset(
-				px * this._scale - mx,
-				py * this._scale - my
-			);
 		}
 
 		/**
-		 * ビュー・オフセットをセットする（ライブラリ内だけで使用）
+		 * ポインター・アップ・イベントに対応する（ライブラリ内だけで使用）
 		 * @private
-		 * @param {number} x x座標
-		 * @param {number} y y座標
+		 * @param {PointerEvent} e イベント
 		 */
-		_setViewOffset(x, y) {
-			const w = this._ctx.width(), h = this._ctx.height();
-			x = Math.min(Math.max(x, 0), w * this._scale - w);
-			y = Math.min(Math.max(y, 0), h * this._scale - h);
-			this._viewOff.x = x;
-			this._viewOff.y = y;
+		_onPointerUp(e) {
+			const [x, y] = this._toPaperPoint(e);
+			const p = this._pointers.get(e.pointerId);
+			if (p) {
+				this._release(p);
+				if (!p.isGesture && !p.isLongPressed) this._recognize(p, x, y);
+			}
+			if (this._onUp !== null) {
+				this._onUp(x, y, e.pointerId, e);
+				e.preventDefault();
+			}
 		}
 
-
-		// -------------------------------------------------------------------------
-
-
 		/**
-		 * タッチ・スタート・イベントに対応する（ライブラリ内だけで使用）
+		 * ポインター・キャンセル・イベントに対応する（ライブラリ内だけで使用）
 		 * @private
-		 * @param {TouchEvent} e イベント
+		 * @param {PointerEvent} e イベント
 		 */
-		_onTouchStart(e) {
-			this._touchDist = 0;
-			this._updateTouch(e.touches);
+		_onPointerCancel(e) {
+			const p = this._pointers.get(e.pointerId);
+			if (!p) return;
+			this._release(p);
+			// 音を止められるように、アップとして伝える
+			if (this._onUp !== null) this._onUp(p.x, p.y, p.id, e);
 		}
 
 		/**
-		 * タッチ・ムーブ・イベントに対応する（ライブラリ内だけで使用）
+		 * ポインターを離す（ライブラリ内だけで使用）
 		 * @private
-		 * @param {TouchEvent} e イベント
+		 * @param {object} p ポインター
 		 */
-		_onTouchMove(e) {
-			e.preventDefault();
-			e.stopPropagation();
-
-			const ts = e.touches;
-			if (this._touchCount !== ts.length) this._updateTouch(ts);
-
-			const [cx, cy] = this._getTouchPoint(ts);
-			this._viewOff.x += this._touchPt.x - cx;
-			this._viewOff.y += this._touchPt.y - cy;
-
-			this._touchPt.x = cx;
-			this._touchPt.y = cy;
-
-			if (2 <= ts.length) {
-				const ntX = (cx + this._viewOff.x) / this._scale;
-				const ntY = (cy + this._viewOff.y) / this._scale;
-				const dis = this._getTouchDistance(ts);
-
-				if (this._touchDist) {
-					const s = dis / (this._touchDist * this._scale);
-					if (s && s !== Infinity) {
-						[this._zoom, this._scale] = this._calcZoomStep(this._scale * s);
-						this._setViewOffset(
-							ntX * this._scale - cx,
-							ntY * this._scale - cy
-						);
-					}
-				}
-				this._touchDist = dis / this._scale;
-			}
+		_release(p) {
+			this._clearTimer(p);
+			this._pointers.delete(p.id);
+			this._pair = (2 <= this._pointers.size) ? this._measurePair() : null;
 		}
 
 		/**
-		 * ズームの段階を計算する（ライブラリ内だけで使用）
+		 * タップとスワイプを見分ける（ライブラリ内だけで使用）
 		 * @private
-		 * @param {number} s スケール（拡大率）
+		 * @param {object} p ポインター
+		 * @param {number} x 離した場所のx座標
+		 * @param {number} y 離した場所のy座標
 		 */
-		_calcZoomStep(s) {
-			const ns = Math.min(Math.max(s, 1), this._steps[this._steps.length - 1]);
-
-			let dis = Number.MAX_VALUE;
-			let idx = -1;
-			for (let i = 0; i < this._steps.length; i += 1) {
-				const v = this._steps[i];
-				const d = (s - v) * (s - v);
-				if (d < dis) {
-					dis = d;
-					idx = i;
+		_recognize(p, x, y) {
+			const dx = x - p.startX, dy = y - p.startY;
+			const dist = Math.hypot(dx, dy), time = now() - p.startTime;
+
+			if (dist <= TAP_DISTANCE && time <= TAP_TIME) {
+				if (this._onTap !== null) this._onTap(x, y, p.id);
+			} else if (SWIPE_DISTANCE <= dist && time <= SWIPE_TIME) {
+				if (this._onSwipe !== null) {
+					const dir = (Math.abs(dy) < Math.abs(dx)) ? ((0 < dx) ? 'right' : 'left') : ((0 < dy) ? 'down' : 'up');
+					this._onSwipe(dir, dx, dy);
 				}
 			}
-			return [idx, ns];
 		}
 
 		/**
-		 * タッチ情報を更新する（ライブラリ内だけで使用）
+		 * 長押しのタイマーを止める（ライブラリ内だけで使用）
 		 * @private
-		 * @param {TouchList} ts タッチ
+		 * @param {object} p ポインター
 		 */
-		_updateTouch(ts) {
-			this._touchCount = ts.length;
-			[this._touchPt.x, this._touchPt.y] = this._getTouchPoint(ts);
+		_clearTimer(p) {
+			if (p.timer === null) return;
+			clearTimeout(p.timer);
+			p.timer = null;
 		}
 
 		/**
-		 * タッチされた点を求める（ライブラリ内だけで使用）
+		 * 最初の2つのポインターの距離と角度、中心を求める（ライブラリ内だけで使用）
 		 * @private
-		 * @param {TouchList} ts タッチ
+		 * @return {object} 距離と角度、中心
 		 */
-		_getTouchPoint(ts) {
-			let x = 0, y = 0;
-			if (ts.length === 1) {
-				x = ts[0].pageX - window.pageXOffset;
-				y = ts[0].pageY - window.pageYOffset;
-			} else if (2 <= ts.length) {
-				x = (ts[0].pageX + ts[1].pageX) / 2 - window.pageXOffset;
-				y = (ts[0].pageY + ts[1].pageY) / 2 - window.pageYOffset;
-			}
-			return [x, y];
+		_measurePair() {
+			const [a, b] = this._pointers.values();
+			return {
+				dist: Math.hypot(b.x - a.x, b.y - a.y),
+				deg : Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI,
+				cx  : (a.x + b.x) / 2,
+				cy  : (a.y + b.y) / 2
+			};
 		}
 
 		/**
-		 * タッチされた2点の距離を求める（ライブラリ内だけで使用）
+		 * イベントの場所を紙の座標にする（ライブラリ内だけで使用）
 		 * @private
-		 * @param {TouchList} ts タッチ
+		 * @param {PointerEvent} e イベント
+		 * @return {number[]} 紙の座標
 		 */
-		_getTouchDistance(ts) {
-			const x1 = ts[0].screenX, y1 = ts[0].screenY;
-			const x2 = ts[1].screenX, y2 = ts[1].screenY;
-			return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+		_toPaperPoint(e) {
+			let x = e.clientX, y = e.clientY;
+			if (this._canvas.getBoundingClientRect) {
+				const r = this._canvas.getBoundingClientRect();
+				const pr = this._pixelRatio;
+				x = (x - r.left) * (r.width ? this._canvas.width / pr / r.width : 1);
+				y = (y - r.top) * (r.height ? this._canvas.height / pr / r.height : 1);
+			}
+			return (this._converter === null) ? [x, y] : this._converter(x, y);
 		}
 
 
-		// -------------------------------------------------------------------------
+		// 公開関数 ----------------------------------------------------------------
 
 
 		/**
-		 * ホイール回転でズームするか
-		 * @param {boolean=} val ホイール回転でズームするか
-		 * @return {boolean} ホイール回転でズームするか
+		 * ポインター・ダウン（指やペンが触れた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent)=} handler 関数（x座標、y座標、ポインターID、イベント）
+		 * @return {function(number, number, number, PointerEvent)=} 関数
 		 */
-		enabled(val) {
-			if (val === undefined) return this._isEnabled;
-			this._isEnabled = val;
+		onPointerDown(handler) {
+			if (handler === undefined) return this._onDown;
+			this._onDown = handler;
 		}
 
 		/**
-		 * 絵をかく前の設定をする（紙だけで使用）
-		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * ポインター・ムーブ（指やペンが動いた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent)=} handler 関数（x座標、y座標、ポインターID、イベント）
+		 * @return {function(number, number, number, PointerEvent)=} 関数
 		 */
-		beforeDrawing(ctx) {
-			if (!this._isEnabled) return;
-			const t = ctx.getTransform();
-
-			ctx.save();
-			ctx.setTransform(1, 0, 0, 1, 0, 0);
-			ctx.translate(-this._viewOff.x, -this._viewOff.y);
-			ctx.scale(this._scale, this._scale);
-			ctx.transform(t.a, t.b, t.c, t.d, t.e, t.f);
+		onPointerMove(handler) {
+			if (handler === undefined) return this._onMove;
+			this._onMove = handler;
 		}
 
 		/**
-		 * 絵をかいた後で設定を戻す（紙だけで使用）
-		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * ポインター・アップ（指やペンが離れた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent)=} handler 関数（x座標、y座標、ポインターID、イベント）
+		 * @return {function(number, number, number, PointerEvent)=} 関数
 		 */
-		afterDrawing(ctx) {
-			if (!this._isEnabled) return;
-			ctx.restore();
+		onPointerUp(handler) {
+			if (handler === undefined) return this._onUp;
+			this._onUp = handler;
 		}
 
-	}
-
-
-	/**
-	 * 紙
-	 * @version 2021-05-21
-	 */
-	class Paper {
-
 		/**
-		 * 紙を作る
-		 * @constructor
-		 * @param {number} width 横の大きさ
-		 * @param {number} height たての大きさ
-		 * @param {boolean} [isVisible=true] 画面に表示する？
+		 * タップされた時に呼ばれる関数をセットする
+		 * @param {function(number, number, number)=} handler 関数（x座標、y座標、ポインターID）
+		 * @return {function(number, number, number)=} 関数
 		 */
-		constructor(width, height, isVisible = true) {
-			const can = document.createElement('canvas');
-			can.setAttribute('width', '' + (width || 400));
-			can.setAttribute('height', '' + (height || 400));
-			can.setAttribute('tabindex', '1');
-
-			this._ctx = can.getContext('2d');
-			if (!PAPER_IS_AUGMENTED) augmentPaperPrototype(this._ctx);
-
-			// 画面に表示する場合は
-			if (isVisible === true) {
-				const style = document.createElement('style');
-				style.innerHTML = 'body>canvas{border:0 solid lightgray;display:inline-block;touch-action:none;outline:none;}';
-				document.head.appendChild(style);
-
-				can.id = 'canvas';
-				document.body.appendChild(can);
-				can.focus();
-			}
-			CANVAS_TO_PAPER[can] = this;
-			this._augment(can);
-			CROQUJS.currentPaper(this);
-
-			if (typeof STYLE !== 'undefined') STYLE.augment(this);
+		onTap(handler) {
+			if (handler === undefined) return this._onTap;
+			this._onTap = handler;
 		}
 
 		/**
-		 * 紙を強化する（ライブラリ内だけで使用）
-		 * @private
-		 * @param {HTMLCanvasElement} can キャンバス要素
+		 * 長押しされた時に呼ばれる関数をセットする
+		 * @param {function(number, number, number)=} handler 関数（x座標、y座標、ポインターID）
+		 * @return {function(number, number, number)=} 関数
 		 */
-		_augment(can) {
-			this._prevTime = 0;
-			this._deltaTime = 0;
-			this._frame = 0;
-			this._fps = 60;
-			this._frameLength = 60;
-			this._totalFrame = 0;
-			this._isAnimating = false;
-			this._isGridVisible = true;
-
-			this._keyEventHandler = new KeyHandler(can);
-			this._mouseEventHandler = new MouseHandler(can);
-			this._zoomHandler = new ZoomHandler(this);
-			this._transforms = [];
-			this._stackLevel = 0;
-			this.addEventListener = can.addEventListener.bind(can);
-
-			can.addEventListener('keydown', (e) => {
-				if (e.ctrlKey && String.fromCharCode(e.keyCode) === 'S') this.saveImage();
-			}, true);
+		onLongPress(handler) {
+			if (handler === undefined) return this._onLongPress;
+			this._onLongPress = handler;
 		}
 
 		/**
-		 * 横の大きさ
-		 * @param {number=} val 横の大きさ
-		 * @return {number|Paper} 横の大きさ／この紙
+		 * ピンチ（2本指で広げる・縮める）された時に呼ばれる関数をセットする
+		 * @param {function(number, number, number)=} handler 関数（2本指が触れた時からの拡大率、中心x座標、中心y座標）
+		 * @return {function(number, number, number)=} 関数
 		 */
-		width(val) {
-			if (val === undefined) return this.canvas.width;
-			this.canvas.width = val;
-			return this;
+		onPinch(handler) {
+			if (handler === undefined) return this._onPinch;
+			this._onPinch = handler;
 		}
 
 		/**
-		 * たての大きさ
-		 * @param {number=} val たての大きさ
-		 * @return {number|Paper} たての大きさ／この紙
+		 * 2本指で回転された時に呼ばれる関数をセットする
+		 * @param {function(number, number, number)=} handler 関数（2本指が触れた時からの角度 [度]、中心x座標、中心y座標）
+		 * @return {function(number, number, number)=} 関数
 		 */
-		height(val) {
-			if (val === undefined) return this.canvas.height;
-			this.canvas.height = val;
-			return this;
+		onRotate(handler) {
+			if (handler === undefined) return this._onRotate;
+			this._onRotate = handler;
 		}
 
 		/**
-		 * 紙のサイズを変える
-		 * @param {number} width 横の大きさ
-		 * @param {number} height たての大きさ
-		 * @return {Paper} この紙
+		 * スワイプされた時に呼ばれる関数をセットする
+		 * @param {function(string, number, number)=} handler 関数（方向'left', 'right', 'up', 'down'、x方向の移動量、y方向の移動量）
+		 * @return {function(string, number, number)=} 関数
 		 */
-		setSize(width, height) {
-			this.canvas.width = width;
-			this.canvas.height = height;
-			return this;
+		onSwipe(handler) {
+			if (handler === undefined) return this._onSwipe;
+			this._onSwipe = handler;
 		}
 
 		/**
-		 * 紙を指定した色でクリアする
-		 * @param {string} style スタイル（指定しなければ透明）
-		 * @param {number} alpha アルファ
-		 * @return {Paper} この紙
+		 * 今触れているポインターのリスト
+		 * @return {object[]} ポインター（id, x, y, type, pressure）の配列
 		 */
-		clear(style, alpha) {
-			this.save();
-			this._ctx.setTransform(1, 0, 0, 1, 0, 0);
-			if (alpha !== undefined) {
-				this.globalAlpha = alpha;
-			}
-			if (style === undefined) {
-				this.clearRect(0, 0, this.width(), this.height());  // 透明にする
-			} else {
-				this.fillStyle = style;
-				this.fillRect(0, 0, this.width(), this.height());
-			}
-			this.restore();
-			return this;
+		pointers() {
+			return [...this._pointers.values()].map(p => ({ id: p.id, x: p.x, y: p.y, type: p.type, pressure: p.pressure }));
 		}
 
 		/**
-		 * ピクセルの色を取得する
-		 * @param {number} x x座標
-		 * @param {number} y y座標
-		 * @return {number[]} 色（RGBA）を表す配列
+		 * ポインターの場所を変換する関数をセットする（カメラで使用）
+		 * @param {function(number, number):number[]=} fn 関数（nullなら変換しない）
+		 * @return {function(number, number):number[]=} 関数
 		 */
-		getPixel(x, y) {
-			return this.getImageData(x, y, 1, 1).data;
+		converter(fn) {
+			if (fn === undefined) return this._converter;
+			this._converter = fn;
 		}
 
 		/**
-		 * ピクセルの色を設定する
-		 * @param {number} x x座標
-		 * @param {number} y y座標
-		 * @param {number[]} rgba 色（RGBA）を表す配列
-		 * @return {Paper} この紙
+		 * キャンバスのピクセル比（紙だけで使用）
+		 * @param {number=} val ピクセル比
+		 * @return {number} ピクセル比
 		 */
-		setPixel(x, y, [r = 0, g = 0, b = 0, a = 255]) {
-			this.save();
-			this.strokeStyle = `rgba(${r},${g},${b},${a})`;
-			this.beginPath();
-			this.rect(x, y, 1, 1);
-			this.stroke();
-			this.restore();
-			return this;
+		pixelRatio(val) {
+			if (val === undefined) return this._pixelRatio;
+			this._pixelRatio = val;
 		}
 
+	}
+
+	const TAP_DISTANCE    = 10;
+	const TAP_TIME        = 300;
+	const LONG_PRESS_TIME = 500;
+	const SWIPE_DISTANCE  = 50;
+	const SWIPE_TIME      = 500;
 
-		// アニメーション -------------------------------------------------------
 
+	/**
+	 * ゲームパッド操作処理
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class GamepadHandler {
 
 		/**
-		 * アニメーションを始める
-		 * @param {function} drawingCallback 一枚一枚の絵を書く関数
-		 * @param {Array} args_array 関数に渡す引数
-		 * @return {Paper} この紙
+		 * ゲームパッド操作処理を作る
+		 * @constructor
+		 * @param {KeyHandler} keyHandler キー操作処理（キーボードでゲームパッドの代わりをする時に使う）
 		 */
-		animate(drawingCallback, args_array) {
-			const startTime = now();
-			let prevFrame = -1;
+		constructor(keyHandler) {
+			this._keyHandler = keyHandler;
+			this._isEmulationEnabled = true;
+			this._connected = [];
+			this._pads = [];
+
+			this._onConnect = null;
+			this._onDisconnect = null;
+		}
 
-			const loop = () => {
-				const time = now();
-				this._deltaTime = time - this._prevTime;
-				const timeSpan = time - startTime;
-				const frame = Math.floor(timeSpan / (1000.0 / this._fps)) % this._frameLength;
-
-				if (frame !== prevFrame) {
-					this._frame = frame;
-					CROQUJS.currentPaper(this);
-					this._transforms.length = 0;
-					this._zoomHandler.beforeDrawing(this._ctx);
-					drawingCallback(...args_array);
-					if (this.mouseMiddle() && this._isGridVisible) this.drawGrid();
-					this._zoomHandler.afterDrawing(this._ctx);
-					if (this._zoomHandler.enabled()) {
-						for (const t of this._transforms) t();
-					}
-					prevFrame = frame;
-					this._totalFrame += 1;
-				}
-				if (this._isAnimating && this.canvas.parentNode !== null) {
-					window.requestAnimationFrame(loop);
+		/**
+		 * ゲームパッドの状態を調べて、つながった・外れたイベントを起こす
+		 */
+		poll() {
+			const gps = getGamepads();
+			const len = Math.max(gps.length, this._connected.length);
+			for (let i = 0; i < len; i += 1) {
+				const gp = gps[i];
+				const isConn = Boolean(gp && gp.connected !== false);
+				if (isConn === Boolean(this._connected[i])) continue;
+				this._connected[i] = isConn;
+				if (isConn) {
+					if (this._onConnect !== null) this._onConnect(i, gp.id || '');
+				} else {
+					if (this._onDisconnect !== null) this._onDisconnect(i);
 				}
-				this._prevTime = time;
-			};
-			this._isAnimating = true;
-			window.requestAnimationFrame(loop);
-			return this;
+			}
 		}
 
 		/**
-		 * アニメーションを止める
-		 * @return {Paper} この紙
+		 * ゲームパッドをもらう
+		 * @param {number=} [index=0] 番号
+		 * @return {GamepadInput} ゲームパッド
 		 */
-		stop() {
-			this._isAnimating = false;
-			return this;
+		gamepad(index = 0) {
+			if (!this._pads[index]) this._pads[index] = new GamepadInput(this, index);
+			return this._pads[index];
 		}
 
 		/**
-		 * 時間差（前回のフレームからの時間経過）[ms]
-		 * @return {number} 時間差
+		 * キーボードでゲームパッドの代わりをするか（つながっていない時の0番だけ）
+		 * @param {boolean=} val 代わりをするか
+		 * @return {boolean} 代わりをするか
 		 */
-		deltaTime() {
-			return this._deltaTime;
+		emulationEnabled(val) {
+			if (val === undefined) return this._isEmulationEnabled;
+			this._isEmulationEnabled = val;
 		}
 
 		/**
-		 * フレーム
-		 * @return {number} フレーム
+		 * キーが押されているか？（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} key キーの名前
+		 * @return {boolean} キーが押されているか
 		 */
-		frame() {
-			return this._frame;
+		_isKeyDown(key) {
+			return Boolean(this._keyHandler._keys[key]);
 		}
 
 		/**
-		 * FPS（1秒間のコマ数）
-		 * @param {number=} val FPS（1秒間のコマ数）
-		 * @return {number|Paper} FPS（1秒間のコマ数）／この紙
+		 * ゲームパッドがつながった時に呼ばれる関数をセットする
+		 * @param {function(number, string)=} handler 関数（番号、ゲームパッドの名前）
+		 * @return {function(number, string)=} 関数
 		 */
-		fps(val) {
-			if (val === undefined) return this._fps;
-			this._fps = val;
-			return this;
+		onConnect(handler) {
+			if (handler === undefined) return this._onConnect;
+			this._onConnect = handler;
+			this._listen();
 		}
 
 		/**
-		 * フレーム長
-		 * @param {number=} val フレーム長
-		 * @return {number|Paper} フレーム長／この紙
+		 * ゲームパッドが外れた時に呼ばれる関数をセットする
+		 * @param {function(number)=} handler 関数（番号）
+		 * @return {function(number)=} 関数
 		 */
-		frameLength(val) {
-			if (val === undefined) return this._frameLength;
-			this._frameLength = val;
-			return this;
+		onDisconnect(handler) {
+			if (handler === undefined) return this._onDisconnect;
+			this._onDisconnect = handler;
+			this._listen();
 		}
 
 		/**
-		 * 全フレーム
-		 * @return {number} 全フレーム
+		 * 関数がセットされている時だけ、ゲームパッドのつながった・外れたイベントを受け取る（ライブラリ内だけで使用）
+		 * @private
 		 */
-		totalFrame() {
-			return this._totalFrame;
+		_listen() {
+			if (this._onConnect !== null || this._onDisconnect !== null) {
+				GAMEPAD_LISTENERS.add(this);
+			} else {
+				GAMEPAD_LISTENERS.delete(this);
+			}
+			// イベント・リスナーはすべての紙で共通にして、最初の1回だけ登録する
+			if (!GAMEPAD_EVENT_ADDED && typeof window !== 'undefined') {
+				GAMEPAD_EVENT_ADDED = true;
+				const poll = () => {
+					for (const h of GAMEPAD_LISTENERS) h.poll();
+				};
+				window.addEventListener('gamepadconnected', poll);
+				window.addEventListener('gamepaddisconnected', poll);
+			}
 		}
 
+	}
 
-		// 変換 -----------------------------------------------------------------
 
+	/**
+	 * ゲームパッド
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class GamepadInput {
 
 		/**
-		 * 今の状態を保存する
+		 * ゲームパッドを作る（ライブラリ内だけで使用）
+		 * @constructor
+		 * @param {GamepadHandler} handler ゲームパッド操作処理
+		 * @param {number} index 番号
 		 */
-		save() {
-			this._ctx.save();
-			this._stackLevel += 1;
+		constructor(handler, index) {
+			this._handler = handler;
+			this._index = index;
 		}
 
 		/**
-		 * 前の状態を復元する
+		 * 元のゲームパッド（ライブラリ内だけで使用）
+		 * @private
+		 * @return {Gamepad|null} ゲームパッド
 		 */
-		restore() {
-			this._ctx.restore();
-			this._stackLevel -= 1;
+		_source() {
+			const gp = getGamepads()[this._index];
+			return (gp && gp.connected !== false) ? gp : null;
 		}
 
 		/**
-		 * 拡大・縮小する
-		 * @param {number} x 横方向の倍率
-		 * @param {number} y たて方向の倍率
+		 * つながっているか？
+		 * @return {boolean} つながっているか
 		 */
-		scale(x, y) {
-			this._ctx.scale(x, y);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.scale(x, y));
+		connected() {
+			return this._source() !== null;
 		}
 
 		/**
-		 * 回転する
-		 * @param {number} angle ラジアン
+		 * キーボードで代わりをしているか？
+		 * @return {boolean} キーボードで代わりをしているか
 		 */
-		rotate(angle) {
-			this._ctx.rotate(angle);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.rotate(angle));
+		isEmulated() {
+			return this._index === 0 && this._handler.emulationEnabled() && this._source() === null;
 		}
 
 		/**
-		 * 平行移動する
-		 * @param {number} x 横方向の移動
-		 * @param {number} y たて方向の移動
+		 * ゲームパッドの名前
+		 * @return {string} 名前
 		 */
-		translate(x, y) {
-			this._ctx.translate(x, y);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.translate(x, y));
+		id() {
+			const gp = this._source();
+			if (gp !== null) return gp.id || '';
+			return this.isEmulated() ? 'keyboard' : '';
 		}
 
 		/**
-		 * 変形する
-		 * @param {number} a 変形行列の係数a
-		 * @param {number} b 変形行列の係数b
-		 * @param {number} c 変形行列の係数c
-		 * @param {number} d 変形行列の係数d
-		 * @param {number} e 変形行列の係数e
-		 * @param {number} f 変形行列の係数f
+		 * スティックの傾き（-1～1）
+		 * 0番が左スティックの横、1番が左スティックのたてです（キーボードの時はカーソル・キー）。
+		 * @param {number} n 軸の番号
+		 * @param {number=} [deadZone=0.1] 無視する小さな傾き
+		 * @return {number} 傾き
 		 */
-		transform(a, b, c, d, e, f) {
-			this._ctx.transform(a, b, c, d, e, f);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.transform(a, b, c, d, e, f));
+		axis(n, deadZone = 0.1) {
+			const gp = this._source();
+			let v = 0;
+			if (gp !== null) {
+				v = gp.axes[n] || 0;
+			} else if (this.isEmulated()) {
+				const [neg, pos] = KEY_TO_AXIS[n] || [];
+				v = (this._handler._isKeyDown(pos) ? 1 : 0) - (this._handler._isKeyDown(neg) ? 1 : 0);
+			}
+			return (Math.abs(v) < deadZone) ? 0 : v;
 		}
 
 		/**
-		 * 変形行列をセットする
-		 * @param {number} a 変形行列の係数a
-		 * @param {number} b 変形行列の係数b
-		 * @param {number} c 変形行列の係数c
-		 * @param {number} d 変形行列の係数d
-		 * @param {number} e 変形行列の係数e
-		 * @param {number} f 変形行列の係数f
+		 * ボタンが押されているか？
+		 * キーボードの時は、0番がZかスペース、1番がX、2番がC、3番がV、9番がEnter、12～15番がカーソル・キーです。
+		 * @param {number} n ボタンの番号
+		 * @return {boolean} 押されているか
 		 */
-		setTransform(a, b, c, d, e, f) {
-			this._ctx.setTransform(a, b, c, d, e, f);
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.setTransform(a, b, c, d, e, f));
+		button(n) {
+			return 0.5 <= this.buttonValue(n);
 		}
 
 		/**
-		 * 変形行列をリセットする
+		 * ボタンの押し具合（0～1）
+		 * @param {number} n ボタンの番号
+		 * @return {number} 押し具合
 		 */
-		resetTransform() {
-			this._ctx.resetTransform();
-			if (this._stackLevel === 0 && this._zoomHandler.enabled()) this._transforms.push(() => this._ctx.resetTransform());
+		buttonValue(n) {
+			const gp = this._source();
+			if (gp !== null) {
+				const b = gp.buttons[n];
+				if (b === undefined) return 0;
+				if (typeof b === 'object') return b.pressed ? Math.max(b.value, 1) : b.value;
+				return Number(b);
+			}
+			if (this.isEmulated()) {
+				for (const key of Object.keys(KEY_TO_BUTTON)) {
+					if (KEY_TO_BUTTON[key] === n && this._handler._isKeyDown(key)) return 1;
+				}
+			}
+			return 0;
 		}
 
+	}
 
-		// ページ ---------------------------------------------------------------
+	const KEY_TO_AXIS   = [['ArrowLeft', 'ArrowRight'], ['ArrowUp', 'ArrowDown']];
+	const KEY_TO_BUTTON = { 'z': 0, ' ': 0, 'x': 1, 'c': 2, 'v': 3, 'Enter': 9, 'ArrowUp': 12, 'ArrowDown': 13, 'ArrowLeft': 14, 'ArrowRight': 15 };
 
+	let GAMEPAD_SOURCE = null;
 
-		/**
-		 * 新しいページを作る
-		 * @param {string} pageName ページの名前
-		 * @return {Paper} ページ
-		 */
-		makePage(pageName) {
-			if (!this._pages) this._pages = {};
-			this._pages[pageName] = new CROQUJS.Paper(this.width(), this.height(), false);
-			return this._pages[pageName];
-		}
-
-		/**
-		 * ページをもらう
-		 * @param {string} pageName ページの名前
-		 * @return {Paper|boolean} ページ／false
-		 */
-		getPage(pageName) {
-			if (!this._pages) return false;
-			return this._pages[pageName];
-		}
+	// つながった・外れたイベントを受け取るゲームパッド操作処理
+	const GAMEPAD_LISTENERS = new Set();
+	let GAMEPAD_EVENT_ADDED = false;
 
+	/**
+	 * ゲームパッドを取得する関数をセットする（テストで偽物のゲームパッドを使う時など）
+	 * 関数は、ゲームパッド（id, connected, axes, buttons）の配列を返してください。
+	 * @param {function():Array=} source 関数（nullならブラウザーのゲームパッド）
+	 */
+	const gamepadSource = function (source = null) {
+		GAMEPAD_SOURCE = source;
+	};
 
-		// 子の紙 ---------------------------------------------------------------
+	/**
+	 * ゲームパッドの配列を取得する（ライブラリ内だけで使用）
+	 * @private
+	 * @return {Array} ゲームパッドの配列
+	 */
+	const getGamepads = function () {
+		if (GAMEPAD_SOURCE !== null) return GAMEPAD_SOURCE() || [];
+		if (typeof navigator !== 'undefined' && navigator.getGamepads) return navigator.getGamepads() || [];
+		return [];
+	};
 
 
-		/**
-		 * 子の紙を追加する
-		 * @param {Paper} paper 子の紙
-		 */
-		addChild(paper) {
-			if (!this._children) this._children = [];
-			this._children.push(paper);
-			this._mouseEventHandler.addChild(paper._mouseEventHandler);
-		}
+	/**
+	 * ズーム操作処理
+	 * @author Takuto Yanagida
+	 * @version 2021-02-04
+	 */
+	class ZoomHandler {
 
 		/**
-		 * 子の紙を削除する
-		 * @param {Paper} paper 子の紙
+		 * ズーム操作処理を作る
+		 * @constructor
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
 		 */
-		removeChild(paper) {
-			if (!this._children) return;
-			this._children = this._children.filter(e => (e !== paper));
-			this._mouseEventHandler.removeChild(paper._mouseEventHandler);
-		}
+		constructor(ctx) {
+			this._ctx = ctx;
+			this._isEnabled = true;
 
+			this._zoom    = 0;
+			this._steps   = [1, 1.5, 2, 3, 4, 6, 8, 12, 16, 24, 32];
+			this._scale   = 1;
+			this._viewOff = { x: 0, y: 0 };
+			this._mousePt = { x: 0, y: 0 };
 
-		// ユーティリティ -------------------------------------------------------
+			this._touchPt    = { x: 0, y: 0 };
+			this._touchCount = 0;
+			this._touchDist  = 0;
 
+			ctx.canvas.addEventListener('wheel',     this._onWheel.bind(this));
+			ctx.canvas.addEventListener('mousedown', this._onMouseDown.bind(this));
+			ctx.canvas.addEventListener('mousemove', this._onMouseMove.bind(this));
 
-		/**
-		 * 定規をもらう
-		 * @return {Ruler} 定規
-		 */
-		getRuler() {
-			if (typeof RULER === 'undefined') throw new Error('Rulerライブラリが必要です。');
-			if (!this._ruler) this._ruler = new RULER.Ruler(this);
-			return this._ruler;
+			ctx.canvas.addEventListener('touchstart', this._onTouchStart.bind(this));
+			ctx.canvas.addEventListener('touchmove',  this._onTouchMove.bind(this), { passive: false });
 		}
 
 		/**
-		 * 紙にかいた絵をファイルに保存する
-		 * @param {string=} fileName ファイル名
-		 * @param {string=} type ファイルの種類
-		 * @return {Paper} この紙
+		 * マウス・ダウン（ボタンが押された）イベントに対応する（ライブラリ内だけで使用）
+		 * @private
 		 */
-		saveImage(fileName, type) {
-			const canvasToBlob = function (canvas, type) {
-				const data = atob(canvas.toDataURL(type).split(',')[1]);
-				const buf = new Uint8Array(data.length);
-
-				for (let i = 0, I = data.length; i < I; i += 1) {
-					buf[i] = data.charCodeAt(i);
-				}
-				return new Blob([buf], { type: type || 'image/png' });
-			};
-			const saveBlob = function (blob, fileName) {
-				const a = document.createElement('a');
-				a.href = window.URL.createObjectURL(blob);
-				a.download = fileName;
-				a.click();
-			};
-			saveBlob(canvasToBlob(this.canvas, type), fileName || 'default.png');
-			return this;
+		_onMouseDown() {
+			if (!this._isEnabled || !this._ctx.mouseMiddle()) return;
+			const m = this._ctx._mouseEventHandler;
+			this._mousePt = { x: m.canvasX(), y: m.canvasY() };
+			this._viewOff.px = this._viewOff.x;
+			this._viewOff.py = this._viewOff.y;
 		}
 
-
 		/**
-		 * ホイールクリックでグリッドを表示するか
-		 * @param {boolean=} val ホイールクリックでグリッドを表示するか
-		 * @return {boolean|Paper} ホイールクリックでグリッドを表示するか／この紙
+		 * マウス・ムーブ（ポインターが移動した）イベントに対応する（ライブラリ内だけで使用）
+		 * @private
 		 */
-		gridVisible(val) {
-			if (val === undefined) return this._isGridVisible;
-			this._isGridVisible = val;
-			return this;
+		_onMouseMove() {
+			if (!this._isEnabled || !this._ctx.mouseMiddle()) return;
+			const m = this._ctx._mouseEventHandler;
+			this._setViewOffset(
+				this._viewOff.px - (m.canvasX() - this._mousePt.x),
+				this._viewOff.py - (m.canvasY() - this._mousePt.y)
+			);
 		}
 
 		/**
-		 * 紙にマス目をかく
+		 * ホイール・イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {WheelEvent} e イベント
 		 */
-		drawGrid() {
-			const w = this.width(), h = this.height();
-			const wd = Math.floor(w / 10), hd = Math.floor(h / 10);
+		_onWheel(e) {
+			if (!this._isEnabled) return;
+			const m = this._ctx._mouseEventHandler;
+			const mx = m.canvasX(), my = m.canvasY();
 
-			this.save();
-			this.lineWidth = 1;
-			this.strokeStyle = 'White';
-			this.globalCompositeOperation = 'xor';
+			const px = (this._viewOff.x + mx) / this._scale;
+			const py = (this._viewOff.y + my) / this._scale;
 
-			for (let x = -wd; x < wd; x += 1) {
-				this.globalAlpha = (x % 10 === 0) ? 0.75 : 0.5;
-				this.beginPath();
-				this.moveTo(x * 10, -h);
-				this.lineTo(x * 10, h);
-				this.stroke();
-			}
-			for (let y = -hd; y < hd; y += 1) {
-				this.globalAlpha = (y % 10 === 0) ? 0.75 : 0.5;
-				this.beginPath();
-				this.moveTo(-w, y * 10);
-				this.lineTo(w, y * 10);
-				this.stroke();
+			if (0 < e.deltaY) {
+				this._zoom = Math.max(this._zoom - 1, 0);
+			} else {
+				this._zoom = Math.min(this._zoom + 1, this._steps.length - 1);
 			}
-			this.restore();
+			this._scale = this._steps[this._zoom];
+			this._setViewOffset(
+				px * this._scale - mx,
+				py * this._scale - my
+			);
 		}
 
 		/**
-		 * ホイール回転でズームするか
-		 * @param {boolean=} val ホイール回転でズームするか
-		 * @return {boolean|Paper} ホイール回転でズームするか／この紙
+		 * ビュー・オフセットをセットする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
 		 */
-		zoomEnabled(val) {
-			if (val === undefined) return this._zoomHandler.enabled();
-			this._zoomHandler.enabled(val);
-			return this;
+		_setViewOffset(x, y) {
+			const w = this._ctx.width(), h = this._ctx.height();
+			x = Math.min(Math.max(x, 0), w * this._scale - w);
+			y = Math.min(Math.max(y, 0), h * this._scale - h);
+			this._viewOff.x = x;
+			this._viewOff.y = y;
 		}
 
 
-		// キーボード -----------------------------------------------------------
+		// -------------------------------------------------------------------------
 
 
 		/**
-		 * キー・ダウン（キーが押された）イベントに対応する関数をセットする
-		 * @param {function(string, KeyboardEvent):void=} handler 関数
-		 * @return {function(string, KeyboardEvent):void|Paper} 関数／この紙
+		 * タッチ・スタート・イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TouchEvent} e イベント
 		 */
-		onKeyDown(handler) {
-			if (handler === undefined) return this._keyEventHandler.onKeyDown();
-			this._keyEventHandler.onKeyDown(handler);
-			return this;
+		_onTouchStart(e) {
+			this._touchDist = 0;
+			this._updateTouch(e.touches);
 		}
 
 		/**
-		 * キー・アップ（キーが離された）イベントに対応する関数をセットする
-		 * @param {function(string, KeyboardEvent):void=} handler 関数
-		 * @return {function(string, KeyboardEvent):void|Paper} 関数／この紙
+		 * タッチ・ムーブ・イベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TouchEvent} e イベント
 		 */
-		onKeyUp(handler) {
-			if (handler === undefined) return this._keyEventHandler.onKeyUp();
-			this._keyEventHandler.onKeyUp(handler);
-			return this;
+		_onTouchMove(e) {
+			e.preventDefault();
+			e.stopPropagation();
+
+			const ts = e.touches;
+			if (this._touchCount !== ts.length) this._updateTouch(ts);
+
+			const [cx, cy] = this._getTouchPoint(ts);
+			this._viewOff.x += this._touchPt.x - cx;
+			this._viewOff.y += this._touchPt.y - cy;
+
+			this._touchPt.x = cx;
+			this._touchPt.y = cy;
+
+			if (2 <= ts.length) {
+				const ntX = (cx + this._viewOff.x) / this._scale;
+				const ntY = (cy + this._viewOff.y) / this._scale;
+				const dis = this._getTouchDistance(ts);
+
+				if (this._touchDist) {
+					const s = dis / (this._touchDist * this._scale);
+					if (s && s !== Infinity) {
+						[this._zoom, this._scale] = this._calcZoomStep(this._scale * s);
+						this._setViewOffset(
+							ntX * this._scale - cx,
+							ntY * this._scale - cy
+						);
+					}
+				}
+				this._touchDist = dis / this._scale;
+			}
 		}
 
 		/**
-		 * カーソル・キーの左が押されているか？
-		 * @return {boolean} カーソル・キーの左が押されているか
+		 * ズームの段階を計算する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} s スケール（拡大率）
 		 */
-		keyArrowLeft() {
-			return this._keyEventHandler.keyArrowLeft();
+		_calcZoomStep(s) {
+			const ns = Math.min(Math.max(s, 1), this._steps[this._steps.length - 1]);
+
+			let dis = Number.MAX_VALUE;
+			let idx = -1;
+			for (let i = 0; i < this._steps.length; i += 1) {
+				const v = this._steps[i];
+				const d = (s - v) * (s - v);
+				if (d < dis) {
+					dis = d;
+					idx = i;
+				}
+			}
+			return [idx, ns];
 		}
 
 		/**
-		 * カーソル・キーの上が押されているか？
-		 * @return {boolean} カーソル・キーの上が押されているか
+		 * タッチ情報を更新する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TouchList} ts タッチ
 		 */
-		keyArrowUp() {
-			return this._keyEventHandler.keyArrowUp();
+		_updateTouch(ts) {
+			this._touchCount = ts.length;
+			[this._touchPt.x, this._touchPt.y] = this._getTouchPoint(ts);
 		}
 
 		/**
-		 * カーソル・キーの右が押されているか？
-		 * @return {boolean} カーソル・キーの右が押されているか
+		 * タッチされた点を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TouchList} ts タッチ
 		 */
-		keyArrowRight() {
-			return this._keyEventHandler.keyArrowRight();
+		_getTouchPoint(ts) {
+			let x = 0, y = 0;
+			if (ts.length === 1) {
+				x = ts[0].pageX - window.pageXOffset;
+				y = ts[0].pageY - window.pageYOffset;
+			} else if (2 <= ts.length) {
+				x = (ts[0].pageX + ts[1].pageX) / 2 - window.pageXOffset;
+				y = (ts[0].pageY + ts[1].pageY) / 2 - window.pageYOffset;
+			}
+			return [x, y];
 		}
 
 		/**
-		 * カーソル・キーの下が押されているか？
-		 * @return {boolean} カーソル・キーの下が押されているか
+		 * タッチされた2点の距離を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {TouchList} ts タッチ
 		 */
-		keyArrowDown() {
-			return this._keyEventHandler.keyArrowDown();
+		_getTouchDistance(ts) {
+			const x1 = ts[0].screenX, y1 = ts[0].screenY;
+			const x2 = ts[1].screenX, y2 = ts[1].screenY;
+			return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
 		}
 
 
-		// マウス ---------------------------------------------------------------
+		// -------------------------------------------------------------------------
 
 
 		/**
-		 * マウス・ダウン（ボタンが押された）イベントに対応する関数をセットする
-		 * @param {function(number, number, MouseEvent):void=} handler 関数
-		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 * ホイール回転でズームするか
+		 * @param {boolean=} val ホイール回転でズームするか
+		 * @return {boolean} ホイール回転でズームするか
 		 */
-		onMouseDown(handler) {
-			if (handler === undefined) return this._mouseEventHandler.onMouseDown();
-			this._mouseEventHandler.onMouseDown(handler);
-			return this;
+		enabled(val) {
+			if (val === undefined) return this._isEnabled;
+			this._isEnabled = val;
 		}
 
 		/**
-		 * マウス・ムーブ（ポインターが移動した）イベントに対応する関数をセットする
-		 * @param {function(number, number, MouseEvent):void=} handler 関数
-		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 * 絵をかく前の設定をする（紙だけで使用）
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * @param {Camera=} [camera=null] カメラ
 		 */
-		onMouseMove(handler) {
-			if (handler === undefined) return this._mouseEventHandler.onMouseMove();
-			this._mouseEventHandler.onMouseMove(handler);
-			return this;
+		beforeDrawing(ctx, camera = null) {
+			if (!this._isEnabled && camera === null) return;
+			const t = ctx.getTransform();
+
+			const r = this._ctx.pixelRatio();
+
+			ctx.save();
+			this.setViewTransform(ctx);
+			if (camera !== null) ctx.transform(...camera.matrix());
+			ctx.transform(t.a / r, t.b / r, t.c / r, t.d / r, t.e / r, t.f / r);
 		}
 
 		/**
-		 * マウス・アップ（ボタンが離された）イベントに対応する関数をセットする
-		 * @param {function(number, number, MouseEvent):void=} handler 関数
-		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 * 表示の変形（ピクセル比とズーム、スクロール）だけをセットする（紙だけで使用）
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
 		 */
-		onMouseUp(handler) {
-			if (handler === undefined) return this._mouseEventHandler.onMouseUp();
-			this._mouseEventHandler.onMouseUp(handler);
-			return this;
+		setViewTransform(ctx) {
+			const r = this._ctx.pixelRatio();
+			ctx.setTransform(r, 0, 0, r, 0, 0);
+			if (!this._isEnabled) return;
+			ctx.translate(-this._viewOff.x, -this._viewOff.y);
+			ctx.scale(this._scale, this._scale);
 		}
 
 		/**
-		 * マウス・クリック・イベントに対応する関数をセットする
-		 * @param {function(number, number, MouseEvent):void=} handler 関数
-		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 * 絵をかいた後で設定を戻す（紙だけで使用）
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 * @param {Camera=} [camera=null] カメラ
 		 */
-		onMouseClick(handler) {
-			if (handler === undefined) return this._mouseEventHandler.onMouseClick();
-			this._mouseEventHandler.onMouseClick(handler);
-			return this;
+		afterDrawing(ctx, camera = null) {
+			if (!this._isEnabled && camera === null) return;
+			ctx.restore();
 		}
 
+	}
+
+
+	/**
+	 * 録画処理
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class Recorder {
+
 		/**
-		 * マウス・ホイール・イベントに対応する関数をセットする
-		 * @param {function(number, WheelEvent):void=} handler 関数
-		 * @return {function(number, WheelEvent):void|Paper} 関数／この紙
+		 * 録画処理を作る
+		 * @constructor
+		 * @param {Paper} paper 紙
+		 * @param {object=} [opt={}] オプション
+		 * @param {number=} opt.fps 録画のFPS（1秒間のコマ数）
+		 * @param {number=} opt.frames 録画するコマ数（指定しなければstopRecordingを呼ぶまで）
+		 * @param {string=} [opt.format='gif'] ファイルの形式（'gif'かPNGをまとめた'zip'）
+		 * @param {string=} opt.fileName ファイル名
 		 */
-		onMouseWheel(handler) {
-			if (handler === undefined) return this._mouseEventHandler.onMouseWheel();
-			this._mouseEventHandler.onMouseWheel(handler);
-			return this;
+		constructor(paper, { fps = paper.fps(), frames = null, format = 'gif', fileName = null } = {}) {
+			if (format !== 'gif' && format !== 'zip') throw new Error('CROQUJS::startRecording: ファイルの形式は\'gif\'か\'zip\'です。');
+			this._paper    = paper;
+			this._interval = 1000.0 / fps;
+			this._maxCount = frames;
+			this._format   = format;
+			this._fileName = fileName || (format === 'gif' ? 'animation.gif' : 'frames.zip');
+
+			this._time  = this._interval;  // 最初のフレームはすぐに録画する
+			this._count = 0;
+
+			this._gif     = null;
+			this._pngs    = [];
+			this._pending = 0;
+			this._isDone  = false;
 		}
 
 		/**
-		 * マウスの横の場所を返す
-		 * @return {number} マウスの横の場所
+		 * 今のフレームを録画する（紙だけで使用）
+		 * @param {number} deltaTime 時間差
+		 * @return {boolean} 決められたコマ数を録画し終わったか
 		 */
-		mouseX() {
-			return this._mouseEventHandler.mouseX();
+		capture(deltaTime) {
+			this._time += Math.min(deltaTime, this._interval);
+			if (this._time < this._interval) return false;
+			this._time -= this._interval;
+
+			const can = this._paper.canvas;
+			if (this._format === 'gif') {
+				if (this._gif === null) this._gif = new GifEncoder(can.width, can.height, this._interval);
+				this._gif.addFrame(this._paper.getImageData(0, 0, can.width, can.height).data);
+			} else {
+				const idx = this._count;
+				this._pending += 1;
+				canvasToBytes(can, 'image/png', (data) => {
+					this._pngs[idx] = data;
+					this._pending -= 1;
+					if (this._isDone && this._pending === 0) this._save();
+				});
+			}
+			this._count += 1;
+			return (this._maxCount !== null && this._maxCount <= this._count);
 		}
 
 		/**
-		 * マウスのたての場所を返す
-		 * @return {number} マウスのたての場所
+		 * 録画を終えてファイルに保存する（紙だけで使用）
 		 */
-		mouseY() {
-			return this._mouseEventHandler.mouseY();
+		finish() {
+			this._isDone = true;
+			if (this._pending === 0) this._save();
 		}
 
 		/**
-		 * マウスの左ボタンが押されているか？
-		 * @return {boolean} マウスの左ボタンが押されているか
+		 * ファイルに保存する（ライブラリ内だけで使用）
+		 * @private
 		 */
-		mouseLeft() {
-			return this._mouseEventHandler.mouseLeft();
+		_save() {
+			if (this._count === 0) return;
+			if (this._format === 'gif') {
+				saveData(this._gif.finish(), this._fileName, 'image/gif');
+			} else {
+				const fs = this._pngs.map((d, i) => [`frame_${('000' + i).slice(-4)}.png`, d]);
+				saveData(makeZip(fs), this._fileName, 'application/zip');
+			}
 		}
 
+	}
+
+
+	/**
+	 * 入力の記録と再生（マウスやキーボードのイベントを、フレーム番号と一緒に記録する）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class InputRecorder {
+
 		/**
-		 * マウスの右ボタンが押されているか？
-		 * @return {boolean} マウスの右ボタンが押されているか
+		 * 入力の記録処理を作る
+		 * @constructor
+		 * @param {Paper} paper 紙
 		 */
-		mouseRight() {
-			return this._mouseEventHandler.mouseRight();
+		constructor(paper) {
+			this._paper = paper;
+			this._data = null;
+			this._startFrame = 0;
+			this._startTime = 0;
+			this._listeners = [];
+
+			this._replay = null;
 		}
 
 		/**
-		 * マウスの中ボタンが押されているか？
-		 * @return {boolean} マウスの中ボタンが押されているか
+		 * 記録しているか
+		 * @return {boolean} 記録しているか
 		 */
-		mouseMiddle() {
-			return this._mouseEventHandler.mouseMiddle();
+		isRecording() {
+			return this._listeners.length !== 0;
 		}
 
-	};
+		/**
+		 * 再生しているか
+		 * @return {boolean} 再生しているか
+		 */
+		isReplaying() {
+			return this._replay !== null;
+		}
 
-	let PAPER_IS_AUGMENTED = false;
+		/**
+		 * 記録を始める
+		 */
+		start() {
+			if (this.isRecording()) this.stop();
+			const p = this._paper;
+			this._data = { version: 1, width: p.width(), height: p.height(), deltaTime: p._fixedDeltaTime || 1000 / p.fps(), frames: 0, events: [] };
+			this._startFrame = p._totalFrame;
+			this._startTime = now();
+
+			const can = p.canvas;
+			for (const type of INPUT_EVENT_TYPES) this._listen(can, type, 'canvas');
+			if (typeof window !== 'undefined') {
+				// 紙の外にドラッグした時の移動やボタンを離したことも記録する
+				for (const type of ['pointermove', 'pointerup', 'mousemove', 'mouseup']) this._listen(window, type, 'window');
+			}
+		}
 
-	function augmentPaperPrototype(ctx) {
-		PAPER_IS_AUGMENTED = true;
-		const org = Object.getPrototypeOf(ctx);
-		for (const name in ctx) {
-			if (typeof ctx[name] === 'function') {
-				if (Paper.prototype[name]) continue;
-				Paper.prototype[name] = function (...args) { return this._ctx[name](...args); }
-			} else {
-				const d = Object.getOwnPropertyDescriptor(org, name);
-				const nd = { configurable: d.configurable, enumerable: d.enumerable }
-				if (d.get) nd['get'] = function () { return this._ctx[name]; };
-				if (d.set) nd['set'] = function (v) { this._ctx[name] = v; };
-				Object.defineProperty(Paper.prototype, name, nd);
+		/**
+		 * 記録を終える
+		 * @return {object} 記録
+		 */
+		stop() {
+			for (const [t, type, fn] of this._listeners) t.removeEventListener(type, fn, true);
+			this._listeners.length = 0;
+			if (this._data !== null) this._data.frames = this._paper._totalFrame - this._startFrame;
+			return this._data;
+		}
+
+		/**
+		 * 記録を得る
+		 * @return {object} 記録
+		 */
+		data() {
+			return this._data;
+		}
+
+		/**
+		 * イベントを記録するリスナーをセットする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {EventTarget} t イベントの対象
+		 * @param {string} type イベントの種類
+		 * @param {string} target 対象の名前（'canvas'か'window'）
+		 */
+		_listen(t, type, target) {
+			const fn = (e) => {
+				if (e._isReplayed) return;
+				if (target === 'window' && e.target === this._paper.canvas) return;  // キャンバスで記録済み
+				const ev = { frame: this._paper._totalFrame - this._startFrame, time: Math.round(now() - this._startTime), type, target };
+				for (const k of INPUT_EVENT_PROPS) {
+					if (e[k] !== undefined) ev[k] = e[k];
+				}
+				if (e.clientX !== undefined) [ev.x, ev.y] = this._toPaper(e.clientX, e.clientY);
+				this._data.events.push(ev);
+			};
+			t.addEventListener(type, fn, true);
+			this._listeners.push([t, type, fn]);
+		}
+
+		/**
+		 * 画面の座標を紙の座標にする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} cx 画面のx座標
+		 * @param {number} cy 画面のy座標
+		 * @return {number[]} 紙の座標
+		 */
+		_toPaper(cx, cy) {
+			const can = this._paper.canvas;
+			if (!can.getBoundingClientRect) return [cx, cy];
+			const r = can.getBoundingClientRect();
+			return [(cx - r.left) * (r.width ? this._paper.width() / r.width : 1), (cy - r.top) * (r.height ? this._paper.height() / r.height : 1)];
+		}
+
+		/**
+		 * 紙の座標を画面の座標にする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x 紙のx座標
+		 * @param {number} y 紙のy座標
+		 * @return {number[]} 画面の座標
+		 */
+		_toClient(x, y) {
+			const can = this._paper.canvas;
+			if (!can.getBoundingClientRect) return [x, y];
+			const r = can.getBoundingClientRect();
+			return [r.left + x * (r.width / this._paper.width()), r.top + y * (r.height / this._paper.height())];
+		}
+
+		/**
+		 * 再生を始める
+		 * 記録した時の時間差で、アニメーションを決まった時間差で進めるようにします。
+		 * @param {object|string} data 記録（かそのJSON）
+		 * @param {function():void=} onFinish 再生し終わった時に呼ばれる関数
+		 */
+		replay(data, onFinish = null) {
+			const d = (typeof data === 'string') ? JSON.parse(data) : data;
+			if (!d || !Array.isArray(d.events)) throw new Error('CROQUJS::replayInput: 入力の記録ではありません。');
+			if (this.isRecording()) this.stop();
+			const p = this._paper;
+			this._replay = { data: d, index: 0, startFrame: p._totalFrame, onFinish, fixedDeltaTime: p._fixedDeltaTime };
+			p.fixedDeltaTime(d.deltaTime);
+		}
+
+		/**
+		 * 再生をやめる
+		 */
+		stopReplay() {
+			if (this._replay === null) return;
+			const r = this._replay;
+			this._replay = null;
+			this._paper.fixedDeltaTime(r.fixedDeltaTime);
+			if (r.onFinish) r.onFinish();
+		}
+
+		/**
+		 * 今のフレームまでのイベントを再生する（紙だけで使用）
+		 */
+		update() {
+			const r = this._replay;
+			if (r === null) return;
+			const f = this._paper._totalFrame - r.startFrame, es = r.data.events;
+			while (r.index < es.length && es[r.index].frame <= f) {
+				this._dispatch(es[r.index]);
+				r.index += 1;
+			}
+			if (r.index === es.length && r.data.frames <= f) this.stopReplay();
+		}
+
+		/**
+		 * 記録したイベントを起こす（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} ev 記録したイベント
+		 */
+		_dispatch(ev) {
+			const e = new Event(ev.type, { bubbles: true, cancelable: true });
+			for (const k of INPUT_EVENT_PROPS) {
+				if (ev[k] !== undefined) e[k] = ev[k];
 			}
+			if (ev.x !== undefined) [e.clientX, e.clientY] = this._toClient(ev.x, ev.y);
+			e._isReplayed = true;
+			const t = (ev.target === 'window' && typeof window !== 'undefined') ? window : this._paper.canvas;
+			t.dispatchEvent(e);
 		}
+
 	}
 
+	const INPUT_EVENT_TYPES = ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'mousedown', 'mousemove', 'mouseup', 'click', 'wheel', 'keydown', 'keyup'];
+	const INPUT_EVENT_PROPS = ['button', 'buttons', 'deltaX', 'deltaY', 'pointerId', 'pointerType', 'pressure', 'isPrimary', 'key', 'code', 'keyCode', 'repeat', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey'];
+
+
+	/**
+	 * ベクター記録処理（SVGにするために、かいた図形を記録する）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class VectorRecorder {
+
+		/**
+		 * ベクター記録処理を作る
+		 * @constructor
+		 * @param {CanvasRenderingContext2D} ctx キャンバス・コンテキスト
+		 */
+		constructor(ctx) {
+			this._ctx   = ctx;
+			this._grads = new WeakMap();
+			this._fns   = {};
+			this._id    = 0;
+
+			this._path      = [];
+			this._clip      = null;
+			this._clipStack = [];
+			this._clipPrev  = {};
+			this._reset();
+
+			// 関数の呼び出しを記録しながら、元のコンテキストに渡す
+			this._proxy = new Proxy(ctx, {
+				get: (t, name) => {
+					const v = t[name];
+					if (typeof v !== 'function') return v;
+					if (!this._fns[name]) this._fns[name] = (...args) => this._call(name, args);
+					return this._fns[name];
+				},
+				set: (t, name, v) => {
+					t[name] = v;
+					return true;
+				}
+			});
+		}
+
+		/**
+		 * 記録するコンテキスト
+		 * @return {CanvasRenderingContext2D} 記録するコンテキスト
+		 */
+		context() {
+			return this._proxy;
+		}
+
+		/**
+		 * 元のコンテキスト
+		 * @return {CanvasRenderingContext2D} 元のコンテキスト
+		 */
+		target() {
+			return this._ctx;
+		}
+
+		/**
+		 * 記録をリセットする（ライブラリ内だけで使用）
+		 * 今有効なクリップだけは残します。
+		 * @private
+		 */
+		_reset() {
+			const defs = new Map();
+			for (let c = this._clip; c !== null && c !== undefined; c = this._clipPrev[c]) {
+				defs.set(c, this._defs.get(c));
+			}
+			for (const c of this._clipStack) {
+				for (let d = c; d !== null && d !== undefined && !defs.has(d); d = this._clipPrev[d]) defs.set(d, this._defs.get(d));
+			}
+			this._defs = defs;
+			this._elms = [];
+		}
+
+		/**
+		 * 関数を呼び出して記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} name 関数名
+		 * @param {Array} args 引数
+		 * @return {*} 関数の戻り値
+		 */
+		_call(name, args) {
+			const ret = this._ctx[name](...args);
+			const p = this._path;
+			switch (name) {
+				case 'beginPath'       : this._path = []; break;
+				case 'moveTo'          : p.push(['M', ...this._pt(args[0], args[1])]); break;
+				case 'lineTo'          : p.push([p.length ? 'L' : 'M', ...this._pt(args[0], args[1])]); break;
+				case 'arcTo'           : p.push([p.length ? 'L' : 'M', ...this._pt(args[0], args[1])]); break;  // 近似
+				case 'quadraticCurveTo': this._curve('Q', args); break;
+				case 'bezierCurveTo'   : this._curve('C', args); break;
+				case 'closePath'       : if (p.length) p.push(['Z']); break;
+				case 'rect'            : this._rect(...args); break;
+				case 'arc'             : this._ellipse(args[0], args[1], args[2], args[2], 0, args[3], args[4], args[5]); break;
+				case 'ellipse'         : this._ellipse(...args); break;
+
+				case 'fill'      : if (typeof args[0] !== 'object') this._addPath(this._path, 'fill', args[0]); break;
+				case 'stroke'    : if (typeof args[0] !== 'object') this._addPath(this._path, 'stroke'); break;
+				case 'clip'      : if (typeof args[0] !== 'object') this._addClip(args[0]); break;
+				case 'fillRect'  : this._rectOp('fill', ...args); break;
+				case 'strokeRect': this._rectOp('stroke', ...args); break;
+				case 'clearRect' : this._rectOp('clear', ...args); break;
+				case 'fillText'  : this._addText('fill', ...args); break;
+				case 'strokeText': this._addText('stroke', ...args); break;
+				case 'drawImage' : this._addImage(...args); break;
+
+				case 'save'   : this._clipStack.push(this._clip); break;
+				case 'restore': if (this._clipStack.length) this._clip = this._clipStack.pop(); break;
+
+				case 'createLinearGradient': case 'createRadialGradient': {
+					const g = { type: (name === 'createLinearGradient') ? 'linear' : 'radial', params: args, stops: [] };
+					const org = ret.addColorStop.bind(ret);
+					ret.addColorStop = (offset, color) => {
+						org(offset, color);
+						g.stops.push([offset, color]);
+					};
+					this._grads.set(ret, g);
+					break;
+				}
+			}
+			return ret;
+		}
+
+		/**
+		 * 座標をキャンバスの座標にする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} キャンバスの座標
+		 */
+		_pt(x, y) {
+			const m = this._ctx.getTransform();
+			return [m.a * x + m.c * y + m.e, m.b * x + m.d * y + m.f];
+		}
+
+		/**
+		 * ベジェ曲線を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} cmd コマンド（'Q'か'C'）
+		 * @param {number[]} args 座標
+		 */
+		_curve(cmd, args) {
+			if (this._path.length === 0) this._path.push(['M', ...this._pt(args[0], args[1])]);
+			const ps = [cmd];
+			for (let i = 0; i < args.length; i += 2) ps.push(...this._pt(args[i], args[i + 1]));
+			this._path.push(ps);
+		}
+
+		/**
+		 * 四角形を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} w 横幅
+		 * @param {number} h たて幅
+		 */
+		_rect(x, y, w, h) {
+			const p = this._path;
+			p.push(['M', ...this._pt(x, y)], ['L', ...this._pt(x + w, y)], ['L', ...this._pt(x + w, y + h)], ['L', ...this._pt(x, y + h)], ['Z']);
+			p.push(['M', ...this._pt(x, y)]);
+		}
+
+		/**
+		 * だ円の弧を三次ベジェ曲線にして記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x 中心x座標
+		 * @param {number} y 中心y座標
+		 * @param {number} rx 横半径
+		 * @param {number} ry たて半径
+		 * @param {number} rot 回転
+		 * @param {number} a0 開始ラジアン
+		 * @param {number} a1 終了ラジアン
+		 * @param {boolean=} ac 反時計回り？
+		 */
+		_ellipse(x, y, rx, ry, rot, a0, a1, ac = false) {
+			const TAU = Math.PI * 2;
+			let sweep = a1 - a0;
+			if (!ac) {
+				sweep = (TAU <= sweep) ? TAU : ((sweep % TAU) + TAU) % TAU;
+			} else {
+				sweep = (TAU <= -sweep) ? -TAU : -((((-sweep) % TAU) + TAU) % TAU);
+			}
+			const sin = Math.sin(rot), cos = Math.cos(rot);
+			const at = (t) => {
+				const s = rx * Math.cos(t), u = ry * Math.sin(t);
+				return [x + s * cos - u * sin, y + s * sin + u * cos];
+			};
+			const tan = (t) => {
+				const s = -rx * Math.sin(t), u = ry * Math.cos(t);
+				return [s * cos - u * sin, s * sin + u * cos];
+			};
+			const [sx, sy] = at(a0);
+			this._path.push([this._path.length ? 'L' : 'M', ...this._pt(sx, sy)]);
+
+			const n = Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 0.000001);
+			const dt = sweep / n, k = 4 / 3 * Math.tan(dt / 4);
+			for (let i = 0; i < n; i += 1) {
+				const t0 = a0 + dt * i, t1 = t0 + dt;
+				const [x0, y0] = at(t0), [x3, y3] = at(t1);
+				const [dx0, dy0] = tan(t0), [dx1, dy1] = tan(t1);
+				this._path.push(['C', ...this._pt(x0 + k * dx0, y0 + k * dy0), ...this._pt(x3 - k * dx1, y3 - k * dy1), ...this._pt(x3, y3)]);
+			}
+		}
+
+		/**
+		 * 四角形の描画を記録する（ライブラリ内だけで使用）
+		 * 紙全体をクリアするかぬりつぶす時は、それまでの記録を捨てます。
+		 * @private
+		 * @param {string} op 処理（'fill', 'stroke', 'clear'）
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} w 横幅
+		 * @param {number} h たて幅
+		 */
+		_rectOp(op, x, y, w, h) {
+			const c = this._ctx;
+			if (op !== 'stroke' && this._isWholeCanvas(x, y, w, h)) {
+				const fs = c.fillStyle;
+				const isOpaque = (typeof fs === 'string' && fs !== 'transparent' && splitColor(fs)[1] === 1 && c.globalAlpha === 1 && c.globalCompositeOperation === 'source-over');
+				if (op === 'clear' || isOpaque) this._reset();
+			}
+			if (op === 'clear') return;  // 一部を透明にすることはできない
+			const path = this._path;
+			this._path = [];
+			this._rect(x, y, w, h);
+			this._addPath(this._path, op);
+			this._path = path;
+		}
+
+		/**
+		 * 紙全体をおおう四角形か？（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} w 横幅
+		 * @param {number} h たて幅
+		 * @return {boolean} 紙全体をおおうか
+		 */
+		_isWholeCanvas(x, y, w, h) {
+			const m = this._ctx.getTransform();
+			if (m.b !== 0 || m.c !== 0) return false;
+			const [x0, y0] = this._pt(x, y), [x1, y1] = this._pt(x + w, y + h);
+			const can = this._ctx.canvas;
+			return (Math.min(x0, x1) <= 0 && Math.min(y0, y1) <= 0 && can.width <= Math.max(x0, x1) && can.height <= Math.max(y0, y1));
+		}
+
+		/**
+		 * パスの描画を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Array} path パス
+		 * @param {string} op 処理（'fill', 'stroke'）
+		 * @param {string=} fillRule ぬりのルール
+		 */
+		_addPath(path, op, fillRule) {
+			const c = this._ctx;
+			const [d, tr] = this._pathData(path);
+			if (d === null) return;
+			const as = [`d="${d}"`, tr];
+			if (op === 'fill') {
+				as.push(this._paint(c.fillStyle, 'fill'));
+				if (fillRule === 'evenodd') as.push('fill-rule="evenodd"');
+			} else {
+				as.push('fill="none"', this._paint(c.strokeStyle, 'stroke'));
+				as.push(`stroke-width="${num(c.lineWidth)}"`, `stroke-linecap="${c.lineCap}"`, `stroke-linejoin="${c.lineJoin}"`, `stroke-miterlimit="${num(c.miterLimit)}"`);
+				const dash = c.getLineDash();
+				if (dash.length) as.push(`stroke-dasharray="${dash.map(num).join(' ')}"`, `stroke-dashoffset="${num(c.lineDashOffset)}"`);
+			}
+			this._addElement(`<path ${as.join(' ')}${this._blend()}/>`);
+		}
+
+		/**
+		 * パスのデータを今の変形行列の座標系で作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Array} path パス
+		 * @return {Array} パスのデータと変形の属性（変形できない時はnull）
+		 */
+		_pathData(path) {
+			const m = this._ctx.getTransform();
+			const det = m.a * m.d - m.b * m.c;
+			if (path.length === 0 || det === 0) return [null, null];
+			const ia = m.d / det, ib = -m.b / det, ic = -m.c / det, id = m.a / det;
+			const ie = -(ia * m.e + ic * m.f), iF = -(ib * m.e + id * m.f);
+
+			const ds = [];
+			for (const [cmd, ...ps] of path) {
+				const vs = [];
+				for (let i = 0; i < ps.length; i += 2) {
+					vs.push(num(ia * ps[i] + ic * ps[i + 1] + ie), num(ib * ps[i] + id * ps[i + 1] + iF));
+				}
+				ds.push(cmd + vs.join(' '));
+			}
+			return [ds.join(''), transformAttr(m)];
+		}
+
+		/**
+		 * クリップを記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string=} fillRule ぬりのルール
+		 */
+		_addClip(fillRule) {
+			const [d, tr] = this._pathData(this._path);
+			if (d === null) return;
+			const id = 'c' + (this._id++);
+			const cp = this._clip ? ` clip-path="url(#${this._clip})"` : '';
+			const cr = (fillRule === 'evenodd') ? ' clip-rule="evenodd"' : '';
+			this._defs.set(id, `<clipPath id="${id}"${cp}><path d="${d}" ${tr}${cr}/></clipPath>`);
+			this._clipPrev[id] = this._clip;
+			this._clip = id;
+		}
+
+		/**
+		 * 文字の描画を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} op 処理（'fill', 'stroke'）
+		 * @param {string} text 文字
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 */
+		_addText(op, text, x, y) {
+			const c = this._ctx;
+			const anchor = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' }[c.textAlign] || 'start';
+			const base = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' }[c.textBaseline];
+			const as = [`x="${num(x)}"`, `y="${num(y)}"`, transformAttr(c.getTransform()), `text-anchor="${anchor}"`];
+			if (base) as.push(`dominant-baseline="${base}"`);
+			if (op === 'fill') {
+				as.push(this._paint(c.fillStyle, 'fill'));
+			} else {
+				as.push('fill="none"', this._paint(c.strokeStyle, 'stroke'), `stroke-width="${num(c.lineWidth)}"`);
+			}
+			as.push(fontAttr(c.font));
+			this._addElement(`<text ${as.join(' ')}${this._blend()}>${escapeXml(String(text))}</text>`);
+		}
+
+		/**
+		 * 画像の描画を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {*} img 画像
+		 * @param {...number} args 引数
+		 */
+		_addImage(img, ...args) {
+			let href = null;
+			if (typeof img.toDataURL === 'function') href = img.toDataURL();
+			else if (img.src) href = img.src;
+			if (href === null) return;  // 記録できない画像
+
+			const tr = transformAttr(this._ctx.getTransform());
+			const iw = img.width, ih = img.height;
+			let e;
+			if (args.length === 8) {
+				const [sx, sy, sw, sh, dx, dy, dw, dh] = args.map(num);
+				e = `<svg x="${dx}" y="${dy}" width="${dw}" height="${dh}" viewBox="${sx} ${sy} ${sw} ${sh}" preserveAspectRatio="none" overflow="hidden"><image width="${iw}" height="${ih}" xlink:href="${escapeXml(href)}"/></svg>`;
+				e = `<g ${tr}${this._blend()}>${e}</g>`;
+			} else {
+				const [dx, dy, dw = iw, dh = ih] = args.map(num);
+				e = `<image x="${dx}" y="${dy}" width="${dw}" height="${dh}" preserveAspectRatio="none" ${tr}${this._blend()} xlink:href="${escapeXml(href)}"/>`;
+			}
+			this._addElement(e);
+		}
+
+		/**
+		 * 要素を追加する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} e 要素
+		 */
+		_addElement(e) {
+			this._elms.push(this._clip ? `<g clip-path="url(#${this._clip})">${e}</g>` : e);
+		}
+
+		/**
+		 * 色やグラデーションの属性を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string|CanvasGradient|*} style スタイル
+		 * @param {string} prop 属性名（'fill', 'stroke'）
+		 * @return {string} 属性
+		 */
+		_paint(style, prop) {
+			if (typeof style === 'string') {
+				const [c, a] = splitColor(style);
+				return (a < 1) ? `${prop}="${c}" ${prop}-opacity="${num(a)}"` : `${prop}="${c}"`;
+			}
+			const g = this._grads.get(style);
+			if (!g) return `${prop}="black"`;  // パターンなど記録できないスタイル
+
+			const id = 'g' + (this._id++);
+			const ps = g.params.map(num);
+			const tr = transformAttr(this._ctx.getTransform(), 'gradientTransform');
+			const ss = g.stops.map(([o, col]) => {
+				const [c, a] = splitColor(col);
+				return `<stop offset="${num(o)}" stop-color="${c}"${(a < 1) ? ` stop-opacity="${num(a)}"` : ''}/>`;
+			}).join('');
+			if (g.type === 'linear') {
+				this._defs.set(id, `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${ps[0]}" y1="${ps[1]}" x2="${ps[2]}" y2="${ps[3]}" ${tr}>${ss}</linearGradient>`);
+			} else {
+				this._defs.set(id, `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" fx="${ps[0]}" fy="${ps[1]}" fr="${ps[2]}" cx="${ps[3]}" cy="${ps[4]}" r="${ps[5]}" ${tr}>${ss}</radialGradient>`);
+			}
+			return `${prop}="url(#${id})"`;
+		}
+
+		/**
+		 * 透明度と合成方法の属性を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @return {string} 属性
+		 */
+		_blend() {
+			const c = this._ctx;
+			let ret = (c.globalAlpha < 1) ? ` opacity="${num(c.globalAlpha)}"` : '';
+			const op = c.globalCompositeOperation;
+			if (op === 'lighter') ret += ' style="mix-blend-mode: plus-lighter"';
+			else if (BLEND_MODES.includes(op)) ret += ` style="mix-blend-mode: ${op}"`;
+			return ret;
+		}
+
+		/**
+		 * SVGにする
+		 * @param {number=} [pixelRatio=1] キャンバスのピクセル比
+		 * @return {string} SVGの文字列
+		 */
+		toSvg(pixelRatio = 1) {
+			const can = this._ctx.canvas;
+			const w = can.width, h = can.height;
+			const sw = num(w / pixelRatio), sh = num(h / pixelRatio);
+			return [
+				`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${sw}" height="${sh}" viewBox="0 0 ${w} ${h}">`,
+				'<defs>', ...this._defs.values(), '</defs>',
+				...this._elms,
+				'</svg>', ''
+			].join('\n');
+		}
+
+	}
+
+	const BLEND_MODES = ['multiply', 'screen', 'overlay', 'darken', 'lighten', 'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion', 'hue', 'saturation', 'color', 'luminosity'];
+
+	/**
+	 * 数を短い文字列にする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {number} v 数
+	 * @return {string} 文字列
+	 */
+	const num = function (v) {
+		return '' + (Math.round(v * 1000) / 1000);
+	};
+
+	/**
+	 * 変形行列の属性を作る（ライブラリ内だけで使用）
+	 * @private
+	 * @param {DOMMatrix} m 変形行列
+	 * @param {string=} [name='transform'] 属性名
+	 * @return {string} 属性
+	 */
+	const transformAttr = function (m, name = 'transform') {
+		return `${name}="matrix(${[m.a, m.b, m.c, m.d, m.e, m.f].map(num).join(' ')})"`;
+	};
+
+	/**
+	 * 色の文字列を色と不透明度に分ける（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} color 色
+	 * @return {Array} 色と不透明度
+	 */
+	const splitColor = function (color) {
+		color = color.trim().toLowerCase();
+		const m = color.match(/^(rgb|hsl)a\((.*)\)$/);
+		if (m) {
+			const vs = m[2].split(',').map(v => v.trim());
+			if (vs.length === 4) return [`${m[1]}(${vs.slice(0, 3).join(',')})`, parseFloat(vs[3])];
+		}
+		return [color, 1];
+	};
+
+	/**
+	 * フォントの指定を属性にする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} font フォントの指定
+	 * @return {string} 属性
+	 */
+	const fontAttr = function (font) {
+		const m = font.match(/^(.*?)(\d*\.?\d+)(px|pt)\s+(.+)$/);
+		if (!m) return `style="font: ${escapeXml(font)}"`;
+		const as = [`font-size="${m[2]}${m[3]}"`, `font-family="${escapeXml(m[4])}"`];
+		for (const w of m[1].trim().split(/\s+/)) {
+			if (w === 'italic' || w === 'oblique') as.push(`font-style="${w}"`);
+			else if (w === 'bold' || /^\d+$/.test(w)) as.push(`font-weight="${w}"`);
+		}
+		return as.join(' ');
+	};
+
+	/**
+	 * XMLの特別な文字を置き換える（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} str 文字列
+	 * @return {string} 文字列
+	 */
+	const escapeXml = function (str) {
+		return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+	};
+
+
+	/**
+	 * 性能の測定と表示（FPSやかく時間などを測り、紙の上に重ねて表示する）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class StatsMonitor {
+
+		/**
+		 * 性能の測定処理を作る（ライブラリ内だけで使用）
+		 * @constructor
+		 * @param {Paper} paper 紙
+		 */
+		constructor(paper) {
+			this._paper = paper;
+			this._frameTimes = [];
+			this._prevStart = null;
+			this._drawStart = 0;
+			this._fps = 0;
+			this._cur = null;
+			this._last = { frameTime: 0, drawTime: 0, updateTime: 0, sprites: 0, collisionChecks: 0, collisions: 0 };
+			this._isVisible = false;
+			this._overlay = null;
+		}
+
+		/**
+		 * フレームの始まりを記録する（紙だけで使用）
+		 */
+		beginFrame() {
+			const t = now();
+			if (this._prevStart !== null) {
+				const ft = t - this._prevStart;
+				this._frameTimes.push(ft);
+				if (STATS_HISTORY_SIZE < this._frameTimes.length) this._frameTimes.shift();
+				this._fps = (this._fps === 0) ? 1000 / ft : this._fps * 0.9 + (1000 / ft) * 0.1;
+				this._last.frameTime = ft;
+			}
+			this._prevStart = t;
+			this._cur = { drawTime: 0, updateTime: 0, sprites: 0, collisionChecks: 0, collisions: 0 };
+			this._drawStart = t;
+		}
+
+		/**
+		 * フレームの終わりを記録し、表示中なら表示を更新する（紙だけで使用）
+		 */
+		endFrame() {
+			if (this._cur === null) return;
+			// かく関数の中で測った更新の時間は、かく時間に含めない
+			this._cur.drawTime = Math.max(0, now() - this._drawStart - this._cur.updateTime);
+			Object.assign(this._last, this._cur);
+			this._cur = null;
+			if (this._isVisible) this._drawOverlay();
+		}
+
+		/**
+		 * 今のフレームの測定値を足す（紙だけで使用）
+		 * @param {string} name 名前
+		 * @param {number} value 値
+		 */
+		add(name, value) {
+			if (this._cur === null) return;
+			this._cur[name] = (this._cur[name] || 0) + value;
+		}
+
+		/**
+		 * 測定値を得る（紙だけで使用）
+		 * @return {object} 測定値
+		 */
+		stats() {
+			return Object.assign({ fps: this._fps }, this._last, { frameTimes: this._frameTimes.slice() });
+		}
+
+		/**
+		 * 表示するか（紙だけで使用）
+		 * @param {boolean=} val 表示するか
+		 * @return {boolean} 表示するか
+		 */
+		visible(val) {
+			if (val === undefined) return this._isVisible;
+			this._isVisible = val;
+			if (this._overlay !== null) this._overlay.style.display = val ? 'block' : 'none';
+		}
+
+		/**
+		 * 表示を取り除く（紙だけで使用）
+		 */
+		remove() {
+			if (this._overlay !== null && this._overlay.parentNode) this._overlay.parentNode.removeChild(this._overlay);
+		}
+
+		/**
+		 * 紙の上に測定値を表示する（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_drawOverlay() {
+			if (isHeadless() || !this._paper.canvas.getBoundingClientRect) return;
+			if (this._overlay === null) {
+				this._overlay = document.createElement('canvas');
+				this._overlay.width = STATS_WIDTH;
+				this._overlay.height = STATS_HEIGHT;
+				this._overlay.style.position = 'absolute';
+				this._overlay.style.pointerEvents = 'none';
+				this._overlay.style.zIndex = 1000;
+			}
+			if (!this._overlay.parentNode) document.body.appendChild(this._overlay);
+			const r = this._paper.canvas.getBoundingClientRect();
+			this._overlay.style.left = (r.left + window.scrollX) + 'px';
+			this._overlay.style.top = (r.top + window.scrollY) + 'px';
+
+			const ctx = this._overlay.getContext('2d');
+			const s = this._last, f = (v) => v.toFixed(1);
+			ctx.clearRect(0, 0, STATS_WIDTH, STATS_HEIGHT);
+			ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+			ctx.fillRect(0, 0, STATS_WIDTH, STATS_HEIGHT);
+			ctx.font = '10px monospace';
+			ctx.textBaseline = 'top';
+			ctx.fillStyle = 'white';
+			ctx.fillText(`FPS ${f(this._fps)} (${f(s.frameTime)}ms)`, 4, 4);
+			ctx.fillText(`draw ${f(s.drawTime)}ms update ${f(s.updateTime)}ms`, 4, 16);
+			ctx.fillText(`sprites ${s.sprites} pairs ${s.collisionChecks}/${s.collisions}`, 4, 28);
+
+			// フレーム時間のグラフ（線は目標のフレーム時間）
+			const gh = STATS_HEIGHT - 46, gb = STATS_HEIGHT - 4, max = 2 * 1000 / this._paper.fps();
+			const target = 1000 / this._paper.fps() * 1.1;
+			this._frameTimes.forEach((ft, i) => {
+				ctx.fillStyle = (ft <= target) ? 'lime' : 'orangered';
+				const h = Math.min(ft / max, 1) * gh;
+				ctx.fillRect(4 + i, gb - h, 1, h);
+			});
+			ctx.fillStyle = 'gray';
+			ctx.fillRect(4, gb - gh / 2, STATS_HISTORY_SIZE, 1);
+		}
+
+	}
+
+	const STATS_KEY          = 'F2';  // 初期設定のキー
+	const STATS_HISTORY_SIZE = 152;
+	const STATS_WIDTH        = 160;
+	const STATS_HEIGHT       = 80;
+
+
+	/**
+	 * タイムライン（紙のフレームの時間で進むタイマーとトゥイーン）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class Timeline {
+
+		/**
+		 * タイムラインを作る（ライブラリ内だけで使用）
+		 * @constructor
+		 */
+		constructor() {
+			this._tasks = [];
+		}
+
+		/**
+		 * タスクを加える（タスクだけで使用）
+		 * @param {TimerTask} task タスク
+		 */
+		add(task) {
+			if (!this._tasks.includes(task)) this._tasks.push(task);
+		}
+
+		/**
+		 * すべてのタスクをやめる（紙だけで使用）
+		 */
+		cancelAll() {
+			for (const t of this._tasks.concat()) t.cancel();
+			this._tasks.length = 0;
+		}
+
+		/**
+		 * 時間を進める（紙だけで使用）
+		 * @param {number} deltaTime 時間差[ms]
+		 */
+		update(deltaTime) {
+			for (const t of this._tasks.concat()) t._advance(deltaTime);
+			this._tasks = this._tasks.filter(t => !t.isDone());
+		}
+
+	}
+
+
+	/**
+	 * タイマーのタスク（待つ、呼ぶ、トゥイーンの手順を順番に行う）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class TimerTask {
+
+		/**
+		 * タスクを作る（ライブラリ内だけで使用）
+		 * @constructor
+		 * @param {Timeline} timeline タイムライン
+		 */
+		constructor(timeline) {
+			this._timeline = timeline;
+			this._steps = [];
+			this._isCanceled = false;
+		}
+
+		/**
+		 * 手順を加える（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} step 手順
+		 * @return {TimerTask} このタスク
+		 */
+		_push(step) {
+			if (this._isCanceled) return this;
+			this._steps.push(step);
+			this._timeline.add(this);
+			return this;
+		}
+
+		/**
+		 * 待つ
+		 * @param {number} ms 時間[ms]
+		 * @return {TimerTask} このタスク
+		 */
+		wait(ms) {
+			return this._push({ type: 'wait', remain: ms });
+		}
+
+		/**
+		 * 関数を呼ぶ
+		 * （thenという名前にすると、awaitした時にプロミスとみなされてしまうので、callにしています）
+		 * @param {function():void} fn 関数
+		 * @return {TimerTask} このタスク
+		 */
+		call(fn) {
+			return this._push({ type: 'call', fn });
+		}
+
+		/**
+		 * 待ってから関数を呼ぶ
+		 * @param {number} ms 時間[ms]
+		 * @param {function():void} fn 関数
+		 * @return {TimerTask} このタスク
+		 */
+		after(ms, fn) {
+			return this.wait(ms).call(fn);
+		}
+
+		/**
+		 * 決まった時間ごとに関数を呼ぶ（キャンセルするまで続ける）
+		 * @param {number} ms 時間[ms]
+		 * @param {function(number):void} fn 関数（何回目かを受け取る。falseを返すと止める）
+		 * @return {TimerTask} このタスク
+		 */
+		every(ms, fn) {
+			if (!(0 < ms)) throw new RangeError('CROQUJS::every: 時間は0より大きい数にしてください。');
+			return this._push({ type: 'every', interval: ms, remain: ms, count: 0, fn });
+		}
+
+		/**
+		 * 数値のプロパティを少しずつ変える（トゥイーン）
+		 * プロパティが関数の時は、値を引数に渡して呼び出します（スプライトのxなど）。
+		 * @param {object} obj 対象のオブジェクト
+		 * @param {object} to プロパティの名前と最後の値の組
+		 * @param {number} ms 時間[ms]
+		 * @param {function(number):number=} [easing] イージング関数（CALC.easeOutQuadなど。指定しなければ一定の速さ）
+		 * @return {TimerTask} このタスク
+		 */
+		tween(obj, to, ms, easing = t => t) {
+			return this._push({ type: 'tween', obj, to, from: null, duration: ms, elapsed: 0, easing });
+		}
+
+		/**
+		 * やめる
+		 * @return {TimerTask} このタスク
+		 */
+		cancel() {
+			this._isCanceled = true;
+			this._steps.length = 0;
+			return this;
+		}
+
+		/**
+		 * 終わったか（やめたか）？
+		 * @return {boolean} 終わったか
+		 */
+		isDone() {
+			return this._isCanceled || this._steps.length === 0;
+		}
+
+		/**
+		 * 時間を進める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} dt 時間差[ms]
+		 */
+		_advance(dt) {
+			// 前の手順で余った時間は、次の手順に使う
+			while (this._steps.length && !this._isCanceled) {
+				const s = this._steps[0];
+				if (s.type === 'call') {
+					s.fn();
+				} else if (s.type === 'wait') {
+					s.remain -= dt;
+					if (0 < s.remain) return;
+					dt = -s.remain;
+				} else if (s.type === 'every') {
+					s.remain -= dt;
+					while (s.remain <= 0 && !this._isCanceled) {
+						s.remain += s.interval;
+						if (s.fn(s.count++) === false) {
+							this._steps.shift();
+							return;
+						}
+					}
+					return;
+				} else if (s.type === 'tween') {
+					if (s.from === null) s.from = tweenValues(s.obj, s.to);
+					s.elapsed += dt;
+					const t = (0 < s.duration) ? Math.min(1, s.elapsed / s.duration) : 1;
+					const e = s.easing(t);
+					for (const [k, v] of Object.entries(s.to)) setTweenValue(s.obj, k, s.from[k] + (v - s.from[k]) * e);
+					if (t < 1) return;
+					dt = s.elapsed - s.duration;
+				}
+				this._steps.shift();
+			}
+		}
+
+	}
+
+	/**
+	 * トゥイーンの最初の値を得る（ライブラリ内だけで使用）
+	 * @private
+	 * @param {object} obj 対象のオブジェクト
+	 * @param {object} to プロパティの名前と最後の値の組
+	 * @return {object} プロパティの名前と最初の値の組
+	 */
+	const tweenValues = function (obj, to) {
+		const from = {};
+		for (const k of Object.keys(to)) {
+			const v = (typeof obj[k] === 'function') ? obj[k]() : obj[k];
+			if (typeof v !== 'number') throw new Error(`CROQUJS::tween: プロパティ「${k}」は数値ではありません。`);
+			from[k] = v;
+		}
+		return from;
+	};
+
+	/**
+	 * トゥイーンの値を設定する（ライブラリ内だけで使用）
+	 * @private
+	 * @param {object} obj 対象のオブジェクト
+	 * @param {string} k プロパティの名前
+	 * @param {number} v 値
+	 */
+	const setTweenValue = function (obj, k, v) {
+		if (typeof obj[k] === 'function') obj[k](v);
+		else obj[k] = v;
+	};
+
+
+	/**
+	 * 描いた絵の履歴（元に戻す、やり直す）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class History {
+
+		/**
+		 * 履歴を作る（ライブラリ内だけで使用）
+		 * @constructor
+		 * @param {Paper} paper 紙
+		 * @param {number} max 元に戻せる回数
+		 * @param {number} maxMemory 記録に使うメモリの上限[MB]
+		 */
+		constructor(paper, max, maxMemory) {
+			if (!(0 < max)) throw new RangeError('CROQUJS::history: 元に戻せる回数は0より大きい数にしてください。');
+			if (!(0 < maxMemory)) throw new RangeError('CROQUJS::history: メモリの上限は0より大きい数にしてください。');
+			this._paper = paper;
+			this._max = max;
+			this._maxBytes = maxMemory * 1024 * 1024;
+			this._states = [];
+			this._index = -1;
+			this._isPending = false;
+			this._lastClearFrame = -2;
+
+			// ストローク（ボタンを押してから離すまで）ごとに記録する
+			this._onUp = () => this.checkpoint();
+			this._upType = (typeof window === 'undefined' || window.PointerEvent) ? 'pointerup' : 'mouseup';
+			paper.canvas.addEventListener(this._upType, this._onUp, false);
+			this.checkpoint();
+		}
+
+		/**
+		 * 履歴をやめる（紙だけで使用）
+		 */
+		dispose() {
+			this._paper.canvas.removeEventListener(this._upType, this._onUp, false);
+			this._states.length = 0;
+		}
+
+		/**
+		 * 今の紙（とページ）の絵を記録する
+		 */
+		checkpoint() {
+			this._isPending = false;
+			const st = this._snapshot();
+			const cur = this._states[this._index];
+			if (cur) {
+				// 変わっていない絵は前の記録と共有して、メモリを節約する
+				if (isSameImage(cur.image, st.image)) st.image = cur.image;
+				for (const n of Object.keys(st.pages)) {
+					if (cur.pages[n] && isSameImage(cur.pages[n], st.pages[n])) st.pages[n] = cur.pages[n];
+				}
+				const ns = Object.keys(st.pages);
+				if (st.image === cur.image && ns.length === Object.keys(cur.pages).length && ns.every(n => st.pages[n] === cur.pages[n])) return;
+			}
+			this._states.length = this._index + 1;  // やり直しの分は捨てる
+			this._states.push(st);
+			// 回数かメモリの上限を超えたら古いものから捨てる（1回は元に戻せるように残す）
+			while (this._max + 1 < this._states.length || (2 < this._states.length && this._maxBytes < this._byteSize())) {
+				this._states.shift();
+			}
+			this._index = this._states.length - 1;
+		}
+
+		/**
+		 * 紙がクリアされたことを知らせる（紙だけで使用）
+		 * アニメーションの絵をかく関数の中でクリアされた時は、フレームの終わりに記録します。
+		 * ただし、毎フレームクリアしてかき直している時は記録しません。
+		 * @param {number|null} frame クリアされたフレーム（絵をかく関数の外ならnull）
+		 */
+		notifyClear(frame) {
+			if (frame === null) {
+				this.checkpoint();
+				return;
+			}
+			if (this._lastClearFrame !== frame - 1) this._isPending = true;
+			this._lastClearFrame = frame;
+		}
+
+		/**
+		 * フレームの終わりに、待っている記録をする（紙だけで使用）
+		 */
+		endFrame() {
+			if (this._isPending) this.checkpoint();
+		}
+
+		/**
+		 * 元に戻す
+		 * @return {boolean} 元に戻したか
+		 */
+		undo() {
+			if (!this.canUndo()) return false;
+			this._index -= 1;
+			this._restore(this._states[this._index]);
+			return true;
+		}
+
+		/**
+		 * やり直す
+		 * @return {boolean} やり直したか
+		 */
+		redo() {
+			if (!this.canRedo()) return false;
+			this._index += 1;
+			this._restore(this._states[this._index]);
+			return true;
+		}
+
+		/**
+		 * 元に戻せるか
+		 * @return {boolean} 元に戻せるか
+		 */
+		canUndo() {
+			return 0 < this._index;
+		}
+
+		/**
+		 * やり直せるか
+		 * @return {boolean} やり直せるか
+		 */
+		canRedo() {
+			return this._index < this._states.length - 1;
+		}
+
+		/**
+		 * 紙とページの絵を得る（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 絵
+		 */
+		_snapshot() {
+			const img = (p) => p.getImageData(0, 0, p.canvas.width, p.canvas.height);
+			const pages = {};
+			for (const [n, pg] of Object.entries(this._paper._pages || {})) pages[n] = img(pg);
+			return { image: img(this._paper), pages };
+		}
+
+		/**
+		 * 記録に使っているメモリの大きさを求める（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number} 大きさ[byte]
+		 */
+		_byteSize() {
+			const ds = new Set();
+			for (const st of this._states) {
+				ds.add(st.image);
+				for (const d of Object.values(st.pages)) ds.add(d);
+			}
+			let sum = 0;
+			for (const d of ds) sum += d.data.length;
+			return sum;
+		}
+
+		/**
+		 * 紙とページの絵を戻す（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} st 絵
+		 */
+		_restore(st) {
+			const put = (p, d) => {
+				if (d.width === p.canvas.width && d.height === p.canvas.height) p.putImageData(d, 0, 0);
+			};
+			put(this._paper, st.image);
+			for (const [n, pg] of Object.entries(this._paper._pages || {})) {
+				if (st.pages[n]) {
+					put(pg, st.pages[n]);
+				} else {  // 記録の後で作られたページは、作った時と同じ白紙に戻す
+					pg._ctx.save();
+					pg._ctx.setTransform(1, 0, 0, 1, 0, 0);
+					pg._ctx.clearRect(0, 0, pg.canvas.width, pg.canvas.height);
+					pg._ctx.restore();
+				}
+			}
+		}
+
+	}
+
+	/**
+	 * 2つの画像データが同じか（ライブラリ内だけで使用）
+	 * @private
+	 * @param {ImageData} a 画像データ
+	 * @param {ImageData} b 画像データ
+	 * @return {boolean} 同じか
+	 */
+	const isSameImage = function (a, b) {
+		if (a.width !== b.width || a.height !== b.height) return false;
+		const da = new Uint32Array(a.data.buffer, a.data.byteOffset, a.data.length / 4);
+		const db = new Uint32Array(b.data.buffer, b.data.byteOffset, b.data.length / 4);
+		for (let i = 0; i < da.length; i += 1) {
+			if (da[i] !== db[i]) return false;
+		}
+		return true;
+	};
+
+
+	/**
+	 * カメラ（世界のどこを、どの倍率と角度で見るか）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class Camera {
+
+		/**
+		 * カメラを作る（ライブラリ内だけで使用）
+		 * @constructor
+		 * @param {Paper} paper 紙
+		 */
+		constructor(paper) {
+			this._paper = paper;
+			this._isEnabled = true;
+			this.reset();
+		}
+
+		/**
+		 * 最初の状態（紙の中心を倍率1、角度0で見る）に戻す
+		 * @return {Camera} このカメラ
+		 */
+		reset() {
+			this._x = this._paper.width() / 2;
+			this._y = this._paper.height() / 2;
+			this._zoom = 1;
+			this._deg = 0;
+			return this;
+		}
+
+		/**
+		 * カメラを使うか
+		 * @param {boolean=} val カメラを使うか
+		 * @return {boolean|Camera} カメラを使うか／このカメラ
+		 */
+		enabled(val) {
+			if (val === undefined) return this._isEnabled;
+			this._isEnabled = val;
+			return this;
+		}
+
+		/**
+		 * 見る場所（紙の中心に映る世界の座標）を移動する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {Camera} このカメラ
+		 */
+		moveTo(x, y) {
+			this._x = x;
+			this._y = y;
+			return this;
+		}
+
+		/**
+		 * 見る場所を今の場所から移動する
+		 * @param {number} dx x方向の移動量
+		 * @param {number} dy y方向の移動量
+		 * @return {Camera} このカメラ
+		 */
+		moveBy(dx, dy) {
+			this._x += dx;
+			this._y += dy;
+			return this;
+		}
+
+		/**
+		 * 見る場所を、指定した場所に少しずつ近づける（追いかける）
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number=} [rate=0.1] 近づける割合（1ならすぐに移動する）
+		 * @return {Camera} このカメラ
+		 */
+		follow(x, y, rate = 0.1) {
+			this._x += (x - this._x) * rate;
+			this._y += (y - this._y) * rate;
+			return this;
+		}
+
+		/**
+		 * 見る場所のx座標
+		 * @return {number} x座標
+		 */
+		x() {
+			return this._x;
+		}
+
+		/**
+		 * 見る場所のy座標
+		 * @return {number} y座標
+		 */
+		y() {
+			return this._y;
+		}
+
+		/**
+		 * 倍率
+		 * @param {number=} val 倍率
+		 * @return {number|Camera} 倍率／このカメラ
+		 */
+		zoom(val) {
+			if (val === undefined) return this._zoom;
+			if (!(0 < val)) throw new RangeError('CROQUJS::Camera.zoom: 倍率は0より大きい数にしてください。');
+			this._zoom = val;
+			return this;
+		}
+
+		/**
+		 * 角度（時計回りに世界を回して見る）
+		 * @param {number=} deg 角度 [度]
+		 * @return {number|Camera} 角度／このカメラ
+		 */
+		rotate(deg) {
+			if (deg === undefined) return this._deg;
+			this._deg = deg;
+			return this;
+		}
+
+		/**
+		 * 世界の座標を紙の座標にする変形行列
+		 * @return {number[]} 変形行列の係数a～f
+		 */
+		matrix() {
+			const r = this._deg * Math.PI / 180;
+			const a = this._zoom * Math.cos(r), b = this._zoom * Math.sin(r);
+			const e = this._paper.width() / 2 - (a * this._x - b * this._y);
+			const f = this._paper.height() / 2 - (b * this._x + a * this._y);
+			return [a, b, -b, a, e, f];
+		}
+
+		/**
+		 * 紙の座標を世界の座標にする
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 世界の座標
+		 */
+		toWorld(x, y) {
+			const [a, b, , , e, f] = this.matrix();
+			const det = a * a + b * b;
+			const dx = x - e, dy = y - f;
+			return [(a * dx + b * dy) / det, (-b * dx + a * dy) / det];
+		}
+
+		/**
+		 * 世界の座標を紙の座標にする
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 紙の座標
+		 */
+		toScreen(x, y) {
+			const [a, b, c, d, e, f] = this.matrix();
+			return [a * x + c * y + e, b * x + d * y + f];
+		}
+
+		/**
+		 * カメラを通して絵をかく（animateの外、setupやイベントの中でかく時に使う）
+		 * animateでかく絵には自動でカメラが使われるので、その中では使いません。
+		 * @param {function} fn 絵をかく関数
+		 * @return {Camera} このカメラ
+		 */
+		draw(fn) {
+			const p = this._paper;
+			p._zoomHandler.beforeDrawing(p._ctx, this);
+			try {
+				fn();
+			} finally {
+				p._zoomHandler.afterDrawing(p._ctx, this);
+			}
+			return this;
+		}
+
+	}
+
+
+	const MAX_STEPS_PER_LOOP = 10;
+	const HISTORY_KEYS = {
+		'Ctrl+Z'      : 'undo',
+		'Ctrl+Y'      : 'redo',
+		'Ctrl+Shift+Z': 'redo',
+		'Meta+Z'      : 'undo',
+		'Meta+Shift+Z': 'redo',
+	};
+
+
+	/**
+	 * 紙
+	 * @version 2026-10-19
+	 */
+	class Paper {
+
+		/**
+		 * 紙を作る
+		 * @constructor
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @param {boolean} [isVisible=true] 画面に表示する？
+		 */
+		constructor(width, height, isVisible = true) {
+			this._isHeadless = isHeadless();
+			const can = createCanvas(width || 400, height || 400);
+
+			this._ctx = can.getContext('2d');
+			if (!PAPER_IS_AUGMENTED) augmentPaperPrototype(this._ctx);
+
+			// 画面に表示する場合は（ヘッドレスの時は表示しない）
+			if (isVisible === true && !this._isHeadless) {
+				const style = document.createElement('style');
+				style.innerHTML = 'body>canvas{border:0 solid lightgray;display:inline-block;touch-action:none;outline:none;}';
+				document.head.appendChild(style);
+
+				can.id = 'canvas';
+				document.body.appendChild(can);
+				can.focus();
+			}
+			CANVAS_TO_PAPER[can] = this;
+			this._augment(can);
+			CROQUJS.currentPaper(this);
+
+			if (typeof STYLE !== 'undefined') STYLE.augment(this);
+		}
+
+		/**
+		 * 紙を強化する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {HTMLCanvasElement} can キャンバス要素
+		 */
+		_augment(can) {
+			this._prevTime = 0;
+			this._deltaTime = 0;
+			this._frame = 0;
+			this._fps = 60;
+			this._frameLength = 60;
+			this._totalFrame = 0;
+			this._isAnimating = false;
+			this._isPaused = false;
+			this._isFastForwarding = false;
+			this._fixedDeltaTime = null;
+			this._pauseKey = null;
+			this._stepKey = null;
+			this._statsKey = STATS_KEY;
+			this._isGridVisible = true;
+			this._pixelRatio = 1;
+			this._fitMode = 'none';
+			this._fitContent = 'keep';
+			this._fitListener = null;
+			this._onResize = null;
+			this._animation = null;
+			this._recorder = null;
+			this._vectorRecorder = null;
+			this._inputRecorder = new InputRecorder(this);
+			this._timeline = new Timeline();
+			this._history = null;
+			this._historyKeys = null;
+			this._isDrawingFrame = false;
+			this._onFileDrop = null;
+			this._layers = null;
+			this._layerBuffer = null;
+
+			this._keyEventHandler = new KeyHandler(can);
+			this._mouseEventHandler = new MouseHandler(can);
+			this._pointerEventHandler = new PointerHandler(can);
+			this._gamepadHandler = new GamepadHandler(this._keyEventHandler);
+			this._camera = null;
+			this._zoomHandler = new ZoomHandler(this);
+			this._statsMonitor = new StatsMonitor(this);
+			this._transforms = [];
+			this._stackLevel = 0;
+			this.addEventListener = can.addEventListener.bind(can);
+
+			// ファイルのドロップに対応する（関数がセットされている時だけ）
+			can.addEventListener('dragover', (e) => {
+				if (this._onFileDrop === null) return;
+				e.preventDefault();
+				e.dataTransfer.dropEffect = 'copy';
+			});
+			can.addEventListener('drop', (e) => {
+				if (this._onFileDrop === null) return;
+				e.preventDefault();
+				for (const f of e.dataTransfer.files) {
+					// 読み込みのエラーも、関数の中で起きたエラーも表示する
+					loadFile(f).then(r => this._onFileDrop(r.data, r.type, f)).catch(err => console.error(err));
+				}
+			});
+
+			can.addEventListener('keydown', (e) => {
+				if (e.ctrlKey && String.fromCharCode(e.keyCode) === 'S') this.saveImage();
+				if (e.key === this._statsKey) this.statsVisible(!this.statsVisible());
+				if (e.key === this._pauseKey) {
+					if (this._isPaused) this.resume();
+					else this.pause();
+				} else if (e.key === this._stepKey && this._isPaused) {
+					this.nextFrame();
+				}
+			}, true);
+		}
+
+		/**
+		 * 横の大きさ
+		 * @param {number=} val 横の大きさ
+		 * @return {number|Paper} 横の大きさ／この紙
+		 */
+		width(val) {
+			if (val === undefined) return Math.round(this.canvas.width / this._pixelRatio);
+			return this.setSize(val, this.height());
+		}
+
+		/**
+		 * たての大きさ
+		 * @param {number=} val たての大きさ
+		 * @return {number|Paper} たての大きさ／この紙
+		 */
+		height(val) {
+			if (val === undefined) return Math.round(this.canvas.height / this._pixelRatio);
+			return this.setSize(this.width(), val);
+		}
+
+		/**
+		 * 紙のサイズを変える
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @return {Paper} この紙
+		 */
+		setSize(width, height) {
+			const r = this._pixelRatio;
+			const pw = this.width(), ph = this.height();
+			this.canvas.width = Math.round(width * r);
+			this.canvas.height = Math.round(height * r);
+			if (this.canvas.style) {
+				this.canvas.style.width = (r === 1) ? '' : `${width}px`;
+				this.canvas.style.height = (r === 1) ? '' : `${height}px`;
+				if (this._fitMode !== 'none') this._layoutFit();
+			}
+			this._ctx.setTransform(r, 0, 0, r, 0, 0);
+			if (this._layers !== null) {
+				for (const { paper } of this._layers) {
+					if (paper.width() !== width || paper.height() !== height) paper.setSize(width, height);
+				}
+			}
+			if ((pw !== this.width() || ph !== this.height()) && this._onResize !== null) this._onResize(this.width(), this.height());
+			return this;
+		}
+
+		/**
+		 * ピクセル比（1より大きいと、高解像度の画面で細かくかける）
+		 * 座標の単位はピクセル比によらず同じです。設定すると紙はクリアされます。
+		 * @param {number|string=} val ピクセル比（'auto'なら画面に合わせる）
+		 * @return {number|Paper} ピクセル比／この紙
+		 */
+		pixelRatio(val) {
+			if (val === undefined) return this._pixelRatio;
+			const r = (val === 'auto') ? ((typeof window !== 'undefined' && window.devicePixelRatio) || 1) : val;
+			if (!(0 < r)) throw new RangeError('CROQUJS::pixelRatio: ピクセル比は0より大きい数か\'auto\'にしてください。');
+			const w = this.width(), h = this.height(), fn = this._onResize;
+			this._pixelRatio = r;
+			this._mouseEventHandler.pixelRatio(r);
+			this._pointerEventHandler.pixelRatio(r);
+			if (this._layers !== null) {
+				for (const { paper } of this._layers) paper.pixelRatio(r);
+			}
+			this._onResize = null;  // 紙の大きさ（座標の単位）は変わらないので、onResizeは呼ばない
+			this.setSize(w, h);
+			this._onResize = fn;
+			return this;
+		}
+
+		/**
+		 * 紙を指定した色でクリアする
+		 * @param {string} style スタイル（指定しなければ透明）
+		 * @param {number} alpha アルファ
+		 * @return {Paper} この紙
+		 */
+		clear(style, alpha) {
+			const r = this._pixelRatio;
+			this.save();
+			this._ctx.setTransform(r, 0, 0, r, 0, 0);
+			if (alpha !== undefined) {
+				this.globalAlpha = alpha;
+			}
+			if (style === undefined) {
+				this.clearRect(0, 0, this.width(), this.height());  // 透明にする
+			} else {
+				this.fillStyle = style;
+				this.fillRect(0, 0, this.width(), this.height());
+			}
+			this.restore();
+			// クリアしたことを履歴に記録する
+			if (this._history !== null) this._history.notifyClear(this._isDrawingFrame ? this._totalFrame : null);
+			return this;
+		}
+
+		/**
+		 * ピクセルの色を取得する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 色（RGBA）を表す配列
+		 */
+		getPixel(x, y) {
+			const r = this._pixelRatio;
+			if (r === 1) return this.getImageData(x, y, 1, 1).data;
+			return this.getImageData(Math.floor((x + 0.5) * r), Math.floor((y + 0.5) * r), 1, 1).data;
+		}
+
+		/**
+		 * ピクセルの色を設定する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number[]} rgba 色（RGBA）を表す配列
+		 * @return {Paper} この紙
+		 */
+		setPixel(x, y, [r = 0, g = 0, b = 0, a = 255]) {
+			this.save();
+			this.fillStyle = `rgba(${r},${g},${b},${a / 255})`;
+			this.fillRect(x, y, 1, 1);
+			this.restore();
+			return this;
+		}
+
+
+		/**
+		 * 紙全体にフィルターをかける
+		 * 名前で指定するフィルターは、'grayscale'、'invert'、'threshold'（{ level }）、'posterize'（{ levels }）、
+		 * 'boxBlur'（{ radius }）、'gaussianBlur'（{ radius }）、'convolution'（{ kernel, divisor, offset, preserveAlpha }）、'edge'です。
+		 * 'convolution'ではアルファもたたみ込みます。合計が0のカーネル（エンボスなど）では、preserveAlphaをtrueにして色だけをたたみ込んでください。
+		 * 関数を指定すると、ピクセルごとに呼び出し、返した色（RGBAの配列）にします。
+		 * これからかく図形にCSSのフィルター（'blur(2px)'など）をかける時は、paper.filterに設定します。
+		 * @param {string|function(number, number, number, number, number, number):number[]} name フィルターの名前か、色（r, g, b, a）とピクセルの場所（x, y）を受け取る関数
+		 * @param {object=} [params={}] パラメーター
+		 * @return {Paper} この紙
+		 */
+		applyFilter(name, params = {}) {
+			const f = (typeof name === 'function') ? pixelFilter(name) : FILTERS[name];
+			if (f === undefined) throw new Error(`CROQUJS::applyFilter: フィルター「${name}」はありません。`);
+			const w = this.canvas.width, h = this.canvas.height;
+			const img = this.getImageData(0, 0, w, h);
+			f(img.data, w, h, params);
+			this.putImageData(img, 0, 0);
+			return this;
+		}
+
+
+		// 画面に合わせる -------------------------------------------------------
+
+
+		/**
+		 * 紙をブラウザーの画面に合わせる
+		 * 'fill'では紙の大きさを画面と同じにし、'letterbox'では紙の大きさ（論理的な解像度）を変えずに、
+		 * 縦横比を保ったまま画面いっぱいに拡大して表示します。'none'で元に戻します。
+		 * @param {string=} [mode='fill'] 合わせ方（'fill'、'letterbox'、'none'）
+		 * @param {object=} [opt={}] オプション
+		 * @param {string=} [opt.content='keep'] 'fill'で大きさが変わった時の中身（'keep'ならそのまま、'scale'なら拡大・縮小、'clear'なら消す）
+		 * @param {string=} [opt.background='black'] 'letterbox'で余白の色
+		 * @return {Paper} この紙
+		 */
+		fitWindow(mode = 'fill', { content = 'keep', background = 'black' } = {}) {
+			if (!['fill', 'letterbox', 'none'].includes(mode)) throw new Error('CROQUJS::fitWindow: 合わせ方は\'fill\'、\'letterbox\'、\'none\'のどれかです。');
+			if (!['keep', 'scale', 'clear'].includes(content)) throw new Error('CROQUJS::fitWindow: 中身の扱いは\'keep\'、\'scale\'、\'clear\'のどれかです。');
+			if (this._isHeadless) return this;
+
+			if (this._fitListener !== null) {
+				window.removeEventListener('resize', this._fitListener);
+				this._fitListener = null;
+			}
+			this._fitMode = mode;
+			this._fitContent = content;
+			document.body.style.overflow = (mode === 'none') ? '' : 'hidden';
+			document.body.style.background = (mode === 'letterbox') ? background : '';
+
+			if (mode === 'none') {
+				const st = this.canvas.style, r = this._pixelRatio;
+				st.position = st.left = st.top = '';
+				st.width = (r === 1) ? '' : `${this.width()}px`;
+				st.height = (r === 1) ? '' : `${this.height()}px`;
+				return this;
+			}
+			this._fitListener = () => {
+				if (this._fitMode === 'fill') {
+					this._resizeKeepingContent(window.innerWidth, window.innerHeight);
+				} else {
+					this._layoutFit();
+				}
+			};
+			window.addEventListener('resize', this._fitListener);
+			this._fitListener();
+			return this;
+		}
+
+		/**
+		 * 紙を画面に合わせる合わせ方
+		 * @return {string} 合わせ方（'fill'、'letterbox'、'none'）
+		 */
+		fitMode() {
+			return this._fitMode;
+		}
+
+		/**
+		 * 紙を画面に合わせて表示する場所と大きさを決める（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_layoutFit() {
+			const st = this.canvas.style;
+			const iw = window.innerWidth, ih = window.innerHeight;
+			let w = iw, h = ih;
+			if (this._fitMode === 'letterbox') {
+				const s = Math.min(iw / this.width(), ih / this.height());
+				w = this.width() * s;
+				h = this.height() * s;
+			}
+			st.position = 'fixed';
+			st.left = `${(iw - w) / 2}px`;
+			st.top = `${(ih - h) / 2}px`;
+			st.width = `${w}px`;
+			st.height = `${h}px`;
+		}
+
+		/**
+		 * 中身を残したまま紙の大きさを変える（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 */
+		_resizeKeepingContent(width, height) {
+			if (width === this.width() && height === this.height()) return;
+			if (this._layers !== null) {
+				// レイヤーの中身も同じように残す
+				for (const { paper } of this._layers) {
+					paper._fitContent = this._fitContent;
+					paper._resizeKeepingContent(width, height);
+				}
+			}
+			let buf = null;
+			if (this._fitContent !== 'clear') {
+				buf = createCanvas(this.canvas.width, this.canvas.height);
+				buf.getContext('2d').drawImage(this.canvas, 0, 0);
+			}
+			this.setSize(width, height);
+			if (buf === null) return;
+			this._ctx.save();
+			this._ctx.setTransform(1, 0, 0, 1, 0, 0);
+			if (this._fitContent === 'scale') {
+				this._ctx.drawImage(buf, 0, 0, this.canvas.width, this.canvas.height);
+			} else {
+				this._ctx.drawImage(buf, 0, 0);
+			}
+			this._ctx.restore();
+		}
+
+		/**
+		 * 全画面表示にするか
+		 * ブラウザーの決まりで、全画面にするのはキーやマウスの操作に対応する関数の中でしかできません。
+		 * @param {boolean=} val 全画面表示にするか
+		 * @return {boolean|Paper} 全画面表示か／この紙
+		 */
+		fullscreen(val) {
+			if (this._isHeadless) return (val === undefined) ? false : this;
+			if (val === undefined) return document.fullscreenElement === document.documentElement;
+			// 紙ではなくページ全体を全画面にして、fitWindowの合わせ方で表示する
+			if (val && !document.fullscreenElement) {
+				document.documentElement.requestFullscreen().catch((e) => console.error(e));
+			} else if (!val && document.fullscreenElement) {
+				document.exitFullscreen().catch((e) => console.error(e));
+			}
+			return this;
+		}
+
+		/**
+		 * 紙の大きさが変わった時に呼ばれる関数をセットする
+		 * @param {function(number, number):void=} handler 関数（横の大きさ、たての大きさを受け取る）
+		 * @return {function(number, number):void|Paper} 関数／この紙
+		 */
+		onResize(handler) {
+			if (handler === undefined) return this._onResize;
+			this._onResize = handler;
+			return this;
+		}
+
+
+		// アニメーション -------------------------------------------------------
+
+
+		/**
+		 * アニメーションを始める
+		 * @param {function} drawingCallback 一枚一枚の絵を書く関数
+		 * @param {Array} args_array 関数に渡す引数
+		 * @return {Paper} この紙
+		 */
+		animate(drawingCallback, args_array = []) {
+			const a = { callback: drawingCallback, args: args_array, startTime: now(), prevFrame: -1, elapsed: 0 };
+			this._animation = a;
+			this._isAnimating = true;
+
+			// ヘッドレスの時はnextFrameで進める
+			if (this._isHeadless) return this;
+
+			const loop = () => {
+				// 別のアニメーションが始まっていたら終わる
+				if (this._animation !== a) return;
+				const time = now();
+				if (this._isPaused) {
+					// 一時停止中は時間を進めない
+					a.startTime += time - this._prevTime;
+				} else if (this._fixedDeltaTime) {
+					// 経過した時間の分だけ、一定の時間差で進める
+					const dt = this._fixedDeltaTime;
+					a.elapsed += (a.prevFrame === -1) ? dt : time - this._prevTime;
+					for (let i = 0; dt <= a.elapsed && this._isAnimating; i += 1) {
+						if (MAX_STEPS_PER_LOOP <= i) {  // 間に合わない時は、遅れをあきらめる
+							a.elapsed = 0;
+							break;
+						}
+						a.elapsed -= dt;
+						this._deltaTime = dt;
+						this._drawFrame((a.prevFrame + 1) % this._frameLength);
+					}
+				} else {
+					this._deltaTime = time - this._prevTime;
+					const timeSpan = time - a.startTime;
+					const frame = Math.floor(timeSpan / (1000.0 / this._fps)) % this._frameLength;
+					if (frame !== a.prevFrame) this._drawFrame(frame);
+				}
+				if (this._isAnimating && this.canvas.parentNode !== null) {
+					window.requestAnimationFrame(loop);
+				} else if (this.canvas.parentNode === null) {
+					this._statsMonitor.remove();  // 紙が取り除かれたら、性能の表示も取り除く
+				}
+				this._prevTime = time;
+			};
+			window.requestAnimationFrame(loop);
+			return this;
+		}
+
+		/**
+		 * 1フレーム分の絵をかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} frame フレーム
+		 */
+		_drawFrame(frame) {
+			const a = this._animation;
+			this._inputRecorder.update();  // 記録した時と同じく、前のフレームの後にイベントを起こす
+			this._frame = frame;
+			CROQUJS.currentPaper(this);
+			this._transforms.length = 0;
+			this._keyEventHandler.update(this._deltaTime);
+			this._gamepadHandler.poll();
+			this._timeline.update(this._deltaTime);
+			const cam = this._activeCamera();
+			this._zoomHandler.beforeDrawing(this._ctx, cam);
+			this._statsMonitor.beginFrame();
+			this._isDrawingFrame = true;
+			try {
+				a.callback(...a.args);
+			} finally {
+				this._isDrawingFrame = false;
+			}
+			this._statsMonitor.endFrame();
+			if (this._history !== null) this._history.endFrame();
+			if (this._layers !== null && !this._isFastForwarding) this.compositeLayers();
+			if (this.mouseMiddle() && this._isGridVisible && !this._isFastForwarding) this.drawGrid();
+			this._zoomHandler.afterDrawing(this._ctx, cam);
+			if (this._isViewTransformed()) {
+				for (const t of this._transforms) t();
+			}
+			a.prevFrame = frame;
+			this._totalFrame += 1;
+			if (this._isFastForwarding) return;
+			if (this._recorder !== null && this._recorder.capture(this._deltaTime)) this.stopRecording();
+		}
+
+		/**
+		 * アニメーションを決まったフレーム数だけ進める（ヘッドレスの時や一時停止中に使う）
+		 * 時間差は、いつも一定の値（fixedDeltaTimeか、FPSから決まる値）になります。
+		 * @param {number=} [num=1] フレーム数
+		 * @return {Paper} この紙
+		 */
+		nextFrame(num = 1) {
+			const a = this._animation;
+			if (a === null || !this._isAnimating) return this;
+			const dt = this._fixedDeltaTime || 1000.0 / this._fps;
+
+			for (let i = 0; i < num; i += 1) {
+				this._deltaTime = dt;
+				a.startTime -= dt;  // 実際の時間で進める時も、進めたフレームの分だけ時間を進めておく
+				this._drawFrame((a.prevFrame + 1) % this._frameLength);
+				if (!this._isAnimating) break;
+			}
+			return this;
+		}
+
+		/**
+		 * アニメーションを決まったフレーム数だけ、できるだけ速く進める（早送り）
+		 * 途中のフレームは画面に表示されず、録画もされません。
+		 * ただし、絵をかく関数はフレームごとに呼ばれ、その中でかいたものは紙に残ります。
+		 * 絵をかく関数では、isFastForwardingがtrueの時は状態を進めるだけにして、かく処理を省いてください。
+		 * @param {number} num フレーム数
+		 * @return {Paper} この紙
+		 */
+		fastForward(num) {
+			this._isFastForwarding = true;
+			try {
+				this.nextFrame(num);
+			} finally {
+				this._isFastForwarding = false;
+			}
+			return this;
+		}
+
+		/**
+		 * 早送り中か？（絵をかく関数の中で、かく処理を省くかどうかを決めるのに使う）
+		 * @return {boolean} 早送り中か
+		 */
+		isFastForwarding() {
+			return this._isFastForwarding;
+		}
+
+		/**
+		 * 一定の時間差 [ms]（指定すると、アニメーションはいつもこの時間差で進む）
+		 * 実際の時間が遅れても進み方が変わらないので、CALC.setRandomSeedと組み合わせると、毎回同じ結果になります。
+		 * @param {number=} val 時間差（nullなら実際の時間差を使う）
+		 * @return {number|Paper} 時間差／この紙
+		 */
+		fixedDeltaTime(val) {
+			if (val === undefined) return this._fixedDeltaTime;
+			if (val !== null && !(0 < val)) throw new RangeError('CROQUJS::fixedDeltaTime: 時間差は0より大きい数にしてください。');
+			this._fixedDeltaTime = val;
+			if (this._animation !== null) this._animation.elapsed = 0;
+			return this;
+		}
+
+		/**
+		 * アニメーションを一時停止する
+		 * @return {Paper} この紙
+		 */
+		pause() {
+			this._isPaused = true;
+			return this;
+		}
+
+		/**
+		 * 一時停止したアニメーションを再開する
+		 * @return {Paper} この紙
+		 */
+		resume() {
+			this._isPaused = false;
+			return this;
+		}
+
+		/**
+		 * 一時停止中か？
+		 * @return {boolean} 一時停止中か
+		 */
+		isPaused() {
+			return this._isPaused;
+		}
+
+		/**
+		 * 一時停止と再開を切り替えるキー
+		 * @param {string=} val キーの名前（nullなら使わない）
+		 * @return {string|Paper} キーの名前／この紙
+		 */
+		pauseKey(val) {
+			if (val === undefined) return this._pauseKey;
+			this._pauseKey = val;
+			return this;
+		}
+
+		/**
+		 * 一時停止中に1フレームだけ進めるキー
+		 * @param {string=} val キーの名前（nullなら使わない）
+		 * @return {string|Paper} キーの名前／この紙
+		 */
+		stepKey(val) {
+			if (val === undefined) return this._stepKey;
+			this._stepKey = val;
+			return this;
+		}
+
+		/**
+		 * ヘッドレス（画面に表示しない）の紙か？
+		 * @return {boolean} ヘッドレスの紙か
+		 */
+		isHeadless() {
+			return this._isHeadless;
+		}
+
+		/**
+		 * アニメーションを止める
+		 * @return {Paper} この紙
+		 */
+		stop() {
+			this._isAnimating = false;
+			return this;
+		}
+
+		/**
+		 * 時間差（前回のフレームからの時間経過）[ms]
+		 * @return {number} 時間差
+		 */
+		deltaTime() {
+			return this._deltaTime;
+		}
+
+		/**
+		 * フレーム
+		 * @return {number} フレーム
+		 */
+		frame() {
+			return this._frame;
+		}
+
+		/**
+		 * FPS（1秒間のコマ数）
+		 * @param {number=} val FPS（1秒間のコマ数）
+		 * @return {number|Paper} FPS（1秒間のコマ数）／この紙
+		 */
+		fps(val) {
+			if (val === undefined) return this._fps;
+			this._fps = val;
+			return this;
+		}
+
+		/**
+		 * フレーム長
+		 * @param {number=} val フレーム長
+		 * @return {number|Paper} フレーム長／この紙
+		 */
+		frameLength(val) {
+			if (val === undefined) return this._frameLength;
+			this._frameLength = val;
+			return this;
+		}
+
+		/**
+		 * 全フレーム
+		 * @return {number} 全フレーム
+		 */
+		totalFrame() {
+			return this._totalFrame;
+		}
+
+
+		// タイマー -------------------------------------------------------------
+
+
+		/**
+		 * 待ってから関数を呼ぶ（アニメーションのフレームの時間で進む）
+		 * @param {number} ms 時間[ms]
+		 * @param {function():void} fn 関数
+		 * @return {TimerTask} タスク（続けて手順を加えたり、cancelでやめたりできる）
+		 */
+		after(ms, fn) {
+			return new TimerTask(this._timeline).after(ms, fn);
+		}
+
+		/**
+		 * 決まった時間ごとに関数を呼ぶ（アニメーションのフレームの時間で進む）
+		 * @param {number} ms 時間[ms]
+		 * @param {function(number):void} fn 関数（何回目かを受け取る。falseを返すと止める）
+		 * @return {TimerTask} タスク（cancelでやめられる）
+		 */
+		every(ms, fn) {
+			return new TimerTask(this._timeline).every(ms, fn);
+		}
+
+		/**
+		 * 数値のプロパティを少しずつ変える（アニメーションのフレームの時間で進む）
+		 * 例：paper.tween(ball, { x: 100 }, 500, CALC.easeOutQuad).tween(ball, { y: 0 }, 300).call(() => { ... });
+		 * @param {object} obj 対象のオブジェクト
+		 * @param {object} to プロパティの名前と最後の値の組
+		 * @param {number} ms 時間[ms]
+		 * @param {function(number):number=} [easing] イージング関数（CALC.easeOutQuadなど。指定しなければ一定の速さ）
+		 * @return {TimerTask} タスク（続けて手順を加えたり、cancelでやめたりできる）
+		 */
+		tween(obj, to, ms, easing) {
+			return new TimerTask(this._timeline).tween(obj, to, ms, easing);
+		}
+
+		/**
+		 * すべてのタイマーとトゥイーンをやめる
+		 * @return {Paper} この紙
+		 */
+		cancelTimers() {
+			this._timeline.cancelAll();
+			return this;
+		}
+
+
+		// 録画 -----------------------------------------------------------------
+
+
+		/**
+		 * アニメーションの録画を始める
+		 * @param {object=} [opt={}] オプション
+		 * @param {number=} opt.fps 録画のFPS（1秒間のコマ数）
+		 * @param {number=} opt.frames 録画するコマ数（指定しなければstopRecordingを呼ぶまで）
+		 * @param {string=} [opt.format='gif'] ファイルの形式（'gif'かPNGをまとめた'zip'）
+		 * @param {string=} opt.fileName ファイル名
+		 * @return {Paper} この紙
+		 */
+		startRecording(opt = {}) {
+			if (this._recorder !== null) this.stopRecording();
+			this._recorder = new Recorder(this, opt);
+			return this;
+		}
+
+		/**
+		 * アニメーションの録画を終えて、ファイルに保存する
+		 * @return {Paper} この紙
+		 */
+		stopRecording() {
+			if (this._recorder === null) return this;
+			const r = this._recorder;
+			this._recorder = null;
+			r.finish();
+			return this;
+		}
+
+		/**
+		 * 録画中か？
+		 * @return {boolean} 録画中か
+		 */
+		isRecording() {
+			return this._recorder !== null;
+		}
+
+
+		// 入力の記録と再生 -----------------------------------------------------
+
+
+		/**
+		 * マウスやキーボードの入力の記録を始める
+		 * @return {Paper} この紙
+		 */
+		startInputRecording() {
+			this._inputRecorder.start();
+			return this;
+		}
+
+		/**
+		 * 入力の記録を終える
+		 * @return {object} 記録（JSON.stringifyでJSONにできる）
+		 */
+		stopInputRecording() {
+			return this._inputRecorder.stop();
+		}
+
+		/**
+		 * 入力を記録中か？
+		 * @return {boolean} 入力を記録中か
+		 */
+		isInputRecording() {
+			return this._inputRecorder.isRecording();
+		}
+
+		/**
+		 * 入力の記録をJSONファイルに保存する
+		 * @param {string=} [fileName='input.json'] ファイル名
+		 * @return {Paper} この紙
+		 */
+		saveInputRecording(fileName = 'input.json') {
+			const d = this._inputRecorder.isRecording() ? this._inputRecorder.stop() : this._inputRecorder.data();
+			if (d === null) throw new Error('CROQUJS::saveInputRecording: 入力の記録がありません。');
+			saveData(new TextEncoder().encode(JSON.stringify(d)), fileName, 'application/json');
+			return this;
+		}
+
+		/**
+		 * 記録した入力を再生する
+		 * 記録した時と同じフレームにイベントを起こすため、アニメーションは決まった時間差で進むようになります（再生が終わると元に戻ります）。
+		 * @param {object|string} data 記録（かそのJSON）
+		 * @param {function():void=} onFinish 再生し終わった時に呼ばれる関数
+		 * @return {Paper} この紙
+		 */
+		replayInput(data, onFinish = null) {
+			this._inputRecorder.replay(data, onFinish);
+			return this;
+		}
+
+		/**
+		 * 入力の再生をやめる
+		 * @return {Paper} この紙
+		 */
+		stopReplayInput() {
+			this._inputRecorder.stopReplay();
+			return this;
+		}
+
+		/**
+		 * 入力を再生中か？
+		 * @return {boolean} 入力を再生中か
+		 */
+		isReplayingInput() {
+			return this._inputRecorder.isReplaying();
+		}
+
+
+		// 変換 -----------------------------------------------------------------
+
+
+		/**
+		 * 今の状態を保存する
+		 */
+		save() {
+			this._ctx.save();
+			this._stackLevel += 1;
+		}
+
+		/**
+		 * 前の状態を復元する
+		 */
+		restore() {
+			this._ctx.restore();
+			this._stackLevel -= 1;
+		}
+
+		/**
+		 * 拡大・縮小する
+		 * @param {number} x 横方向の倍率
+		 * @param {number} y たて方向の倍率
+		 */
+		scale(x, y) {
+			this._ctx.scale(x, y);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.scale(x, y));
+		}
+
+		/**
+		 * 回転する
+		 * @param {number} angle ラジアン
+		 */
+		rotate(angle) {
+			this._ctx.rotate(angle);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.rotate(angle));
+		}
+
+		/**
+		 * 平行移動する
+		 * @param {number} x 横方向の移動
+		 * @param {number} y たて方向の移動
+		 */
+		translate(x, y) {
+			this._ctx.translate(x, y);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.translate(x, y));
+		}
+
+		/**
+		 * 変形する
+		 * @param {number} a 変形行列の係数a
+		 * @param {number} b 変形行列の係数b
+		 * @param {number} c 変形行列の係数c
+		 * @param {number} d 変形行列の係数d
+		 * @param {number} e 変形行列の係数e
+		 * @param {number} f 変形行列の係数f
+		 */
+		transform(a, b, c, d, e, f) {
+			this._ctx.transform(a, b, c, d, e, f);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.transform(a, b, c, d, e, f));
+		}
+
+		/**
+		 * 変形行列をセットする
+		 * @param {number} a 変形行列の係数a
+		 * @param {number} b 変形行列の係数b
+		 * @param {number} c 変形行列の係数c
+		 * @param {number} d 変形行列の係数d
+		 * @param {number} e 変形行列の係数e
+		 * @param {number} f 変形行列の係数f
+		 */
+		setTransform(a, b, c, d, e, f) {
+			const r = this._pixelRatio;
+			this._ctx.setTransform(a * r, b * r, c * r, d * r, e * r, f * r);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.setTransform(a * r, b * r, c * r, d * r, e * r, f * r));
+		}
+
+		/**
+		 * 変形行列をリセットする
+		 */
+		resetTransform() {
+			const r = this._pixelRatio;
+			this._ctx.setTransform(r, 0, 0, r, 0, 0);
+			if (this._stackLevel === 0 && this._isViewTransformed()) this._transforms.push(() => this._ctx.setTransform(r, 0, 0, r, 0, 0));
+		}
+
+		/**
+		 * 変形行列をもらう（ピクセル比の分は含まない）
+		 * @return {DOMMatrix} 変形行列
+		 */
+		getTransform() {
+			const t = this._ctx.getTransform();
+			const r = this._pixelRatio;
+			if (r !== 1) {
+				t.a /= r; t.b /= r; t.c /= r;
+				t.d /= r; t.e /= r; t.f /= r;
+			}
+			return t;
+		}
+
+
+		/**
+		 * 表示のための変形（ズームかカメラ）をしているか？（ライブラリ内だけで使用）
+		 * @private
+		 * @return {boolean} 変形をしているか
+		 */
+		_isViewTransformed() {
+			return this._zoomHandler.enabled() || this._activeCamera() !== null;
+		}
+
+
+		// カメラ ---------------------------------------------------------------
+
+
+		/**
+		 * カメラをもらう（初めてもらった時からカメラが有効になる）
+		 * カメラはアニメーションの絵全体に使われ、マウスやポインターの場所は世界の座標になります。
+		 * animateの外（setupやイベントの中）でかく絵には使われないので、カメラのdrawを使ってかいてください。
+		 * @return {Camera} カメラ
+		 */
+		camera() {
+			if (this._camera === null) {
+				this._camera = new Camera(this);
+				const conv = (x, y) => (this._activeCamera() !== null) ? this._camera.toWorld(x, y) : [x, y];
+				this._mouseEventHandler.converter(conv);
+				this._pointerEventHandler.converter(conv);
+			}
+			return this._camera;
+		}
+
+		/**
+		 * 有効なカメラ（ライブラリ内だけで使用）
+		 * @private
+		 * @return {Camera|null} カメラ
+		 */
+		_activeCamera() {
+			return (this._camera !== null && this._camera.enabled()) ? this._camera : null;
+		}
+
+
+		// ページ ---------------------------------------------------------------
+
+
+		/**
+		 * 新しいページを作る
+		 * @param {string} pageName ページの名前
+		 * @return {Paper} ページ
+		 */
+		makePage(pageName) {
+			if (!this._pages) this._pages = {};
+			this._pages[pageName] = new CROQUJS.Paper(this.width(), this.height(), false);
+			if (this._pixelRatio !== 1) this._pages[pageName].pixelRatio(this._pixelRatio);
+			return this._pages[pageName];
+		}
+
+		/**
+		 * ページをもらう
+		 * @param {string} pageName ページの名前
+		 * @return {Paper|boolean} ページ／false
+		 */
+		getPage(pageName) {
+			if (!this._pages) return false;
+			return this._pages[pageName];
+		}
+
+
+		// 履歴 -----------------------------------------------------------------
+
+
+		/**
+		 * 描いた絵の履歴を使うか（元に戻す、やり直すができるようになる）
+		 * マウスのボタンを離した時と、clearした時に、紙とページの絵を記録します。
+		 * ただしアニメーションで毎フレームclearしている時は、そのclearは記録しません。
+		 * Ctrl+Z（Macでは⌘Z）で元に戻し、Ctrl+YかCtrl+Shift+Z（Macでは⌘Shift+Z）でやり直します。
+		 * それまでこれらのキーに割り当てていた関数は、履歴を使うのをやめると元に戻ります。
+		 * 記録に使うメモリが上限を超えると、古い記録から捨てます。
+		 * @param {boolean|object=} val 使うか（オブジェクトならオプション）
+		 * @param {number=} [val.max=50] 元に戻せる回数
+		 * @param {number=} [val.maxMemory=128] 記録に使うメモリの上限[MB]
+		 * @return {boolean|Paper} 使うか／この紙
+		 */
+		history(val) {
+			if (val === undefined) return this._history !== null;
+			const kh = this._keyEventHandler;
+			if (this._history !== null) {
+				this._history.dispose();
+				this._history = null;
+				// 履歴を使う前の割り当てに戻す
+				for (const [k, b] of Object.entries(this._historyKeys)) {
+					kh.bindKey(k, b ? b.handler : null, b ? { rate: b.rate, delay: b.delay } : {});
+				}
+				this._historyKeys = null;
+			}
+			if (val === false) return this;
+			const { max = 50, maxMemory = 128 } = (val && typeof val === 'object') ? val : {};
+			this._history = new History(this, max, maxMemory);
+			this._historyKeys = {};
+			for (const [k, fn] of Object.entries(HISTORY_KEYS)) {
+				this._historyKeys[k] = kh.binding(k);
+				kh.bindKey(k, () => this[fn]());
+			}
+			return this;
+		}
+
+		/**
+		 * 今の絵を履歴に記録する（マウス以外でかいた時などに使う）
+		 * @return {Paper} この紙
+		 */
+		checkpoint() {
+			if (this._history === null) throw new Error('CROQUJS::checkpoint: 先にhistory(true)を呼んでください。');
+			this._history.checkpoint();
+			return this;
+		}
+
+		/**
+		 * 元に戻す
+		 * @return {Paper} この紙
+		 */
+		undo() {
+			if (this._history !== null) this._history.undo();
+			return this;
+		}
+
+		/**
+		 * やり直す
+		 * @return {Paper} この紙
+		 */
+		redo() {
+			if (this._history !== null) this._history.redo();
+			return this;
+		}
+
+		/**
+		 * 元に戻せるか？
+		 * @return {boolean} 元に戻せるか
+		 */
+		canUndo() {
+			return this._history !== null && this._history.canUndo();
+		}
+
+		/**
+		 * やり直せるか？
+		 * @return {boolean} やり直せるか
+		 */
+		canRedo() {
+			return this._history !== null && this._history.canRedo();
+		}
+
+
+		// レイヤー -------------------------------------------------------------
+
+
+		/**
+		 * 新しいレイヤーを作る
+		 * レイヤーはアニメーションの各フレームで、絵をかいた後に重ね順に合成されます。
+		 * 重ね順が0より小さいレイヤーはこの紙の絵の下に、0以上のレイヤーは上に重なります。
+		 * レイヤーはこの紙の絵に直接合成されるので、毎フレーム紙をクリアしてからかいてください（クリアしないと、前のフレームで合成したレイヤーが積み重なります）。
+		 * レイヤーの大きさとピクセル比は、この紙に合わせて変わります。
+		 * @param {string} layerName レイヤーの名前
+		 * @param {number=} [z=1] 重ね順
+		 * @return {Paper} レイヤーの紙
+		 */
+		makeLayer(layerName, z = 1) {
+			if (this._layers === null) this._layers = [];
+			this._layers = this._layers.filter(l => (l.name !== layerName));
+			const paper = new CROQUJS.Paper(this.width(), this.height(), false);
+			if (this._pixelRatio !== 1) paper.pixelRatio(this._pixelRatio);
+			this._layers.push({ name: layerName, paper, z, visible: true, opacity: 1, blendMode: 'source-over' });
+			return paper;
+		}
+
+		/**
+		 * レイヤーをもらう
+		 * @param {string} layerName レイヤーの名前
+		 * @return {Paper|boolean} レイヤーの紙／false
+		 */
+		getLayer(layerName) {
+			if (this._layers === null) return false;
+			const l = this._layers.find(l => (l.name === layerName));
+			return l ? l.paper : false;
+		}
+
+		/**
+		 * レイヤーを削除する
+		 * @param {string} layerName レイヤーの名前
+		 * @return {Paper} この紙
+		 */
+		removeLayer(layerName) {
+			if (this._layers === null) return this;
+			this._layers = this._layers.filter(l => (l.name !== layerName));
+			if (this._layers.length === 0) this._layers = null;
+			return this;
+		}
+
+		/**
+		 * レイヤーを表示するか
+		 * @param {string} layerName レイヤーの名前
+		 * @param {boolean=} val 表示するか
+		 * @return {boolean|Paper} 表示するか／この紙
+		 */
+		layerVisible(layerName, val) {
+			return this._layerProp('layerVisible', layerName, 'visible', val);
+		}
+
+		/**
+		 * レイヤーの不透明度
+		 * @param {string} layerName レイヤーの名前
+		 * @param {number=} val 不透明度（0～1）
+		 * @return {number|Paper} 不透明度／この紙
+		 */
+		layerOpacity(layerName, val) {
+			return this._layerProp('layerOpacity', layerName, 'opacity', val);
+		}
+
+		/**
+		 * レイヤーの合成方法（'source-over'、'multiply'、'screen'など）
+		 * @param {string} layerName レイヤーの名前
+		 * @param {string=} val 合成方法
+		 * @return {string|Paper} 合成方法／この紙
+		 */
+		layerBlendMode(layerName, val) {
+			return this._layerProp('layerBlendMode', layerName, 'blendMode', val);
+		}
+
+		/**
+		 * レイヤーの重ね順
+		 * @param {string} layerName レイヤーの名前
+		 * @param {number=} val 重ね順
+		 * @return {number|Paper} 重ね順／この紙
+		 */
+		layerZ(layerName, val) {
+			return this._layerProp('layerZ', layerName, 'z', val);
+		}
+
+		/**
+		 * レイヤーの設定を取得・設定する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} fnName 関数名
+		 * @param {string} layerName レイヤーの名前
+		 * @param {string} prop 設定の名前
+		 * @param {*=} val 設定の値
+		 * @return {*|Paper} 設定の値／この紙
+		 */
+		_layerProp(fnName, layerName, prop, val) {
+			const l = (this._layers !== null) ? this._layers.find(l => (l.name === layerName)) : undefined;
+			if (l === undefined) throw new Error(`CROQUJS::${fnName}: レイヤー「${layerName}」はありません。`);
+			if (val === undefined) return l[prop];
+			l[prop] = val;
+			return this;
+		}
+
+		/**
+		 * レイヤーを重ね順に合成する（アニメーションの時は自動で呼ばれる）
+		 * 合成した結果はこの紙の絵になるので、呼ぶ前に紙をかき直してください。
+		 * @return {Paper} この紙
+		 */
+		compositeLayers() {
+			if (this._layers === null) return this;
+			const ls = this._layers.filter(l => l.visible).sort((a, b) => a.z - b.z);  // 同じ重ね順なら作った順
+			const ctx = this._ctx;
+			const draw = (l) => {
+				ctx.globalAlpha = l.opacity;
+				ctx.globalCompositeOperation = l.blendMode;
+				ctx.drawImage(l.paper.canvas, 0, 0, this.width(), this.height());
+			};
+			ctx.save();
+			ctx.setTransform(1, 0, 0, 1, 0, 0);
+			const below = ls.filter(l => l.z < 0);
+			if (below.length) {
+				// この紙の絵をいったん取っておき、下のレイヤーを先に重ねる
+				const w = this.canvas.width, h = this.canvas.height;
+				if (this._layerBuffer === null || this._layerBuffer.width !== w || this._layerBuffer.height !== h) {
+					this._layerBuffer = createCanvas(w, h);
+				}
+				const bc = this._layerBuffer.getContext('2d');
+				bc.clearRect(0, 0, w, h);
+				bc.drawImage(this.canvas, 0, 0);
+				ctx.clearRect(0, 0, w, h);
+
+				this._zoomHandler.setViewTransform(ctx);
+				for (const l of below) draw(l);
+				ctx.setTransform(1, 0, 0, 1, 0, 0);
+				ctx.globalAlpha = 1;
+				ctx.globalCompositeOperation = 'source-over';
+				ctx.drawImage(this._layerBuffer, 0, 0);
+			}
+			this._zoomHandler.setViewTransform(ctx);
+			for (const l of ls) {
+				if (0 <= l.z) draw(l);
+			}
+			ctx.restore();
+			return this;
+		}
+
+
+		// 子の紙 ---------------------------------------------------------------
+
+
+		/**
+		 * 子の紙を追加する
+		 * @param {Paper} paper 子の紙
+		 */
+		addChild(paper) {
+			if (!this._children) this._children = [];
+			this._children.push(paper);
+			this._mouseEventHandler.addChild(paper._mouseEventHandler);
+		}
+
+		/**
+		 * 子の紙を削除する
+		 * @param {Paper} paper 子の紙
+		 */
+		removeChild(paper) {
+			if (!this._children) return;
+			this._children = this._children.filter(e => (e !== paper));
+			this._mouseEventHandler.removeChild(paper._mouseEventHandler);
+		}
+
+
+		// ユーティリティ -------------------------------------------------------
+
+
+		/**
+		 * 定規をもらう
+		 * @return {Ruler} 定規
+		 */
+		getRuler() {
+			if (typeof RULER === 'undefined') throw new Error('Rulerライブラリが必要です。');
+			if (!this._ruler) this._ruler = new RULER.Ruler(this);
+			return this._ruler;
+		}
+
+		/**
+		 * 紙にかいた絵をファイルに保存する
+		 * @param {string=} fileName ファイル名
+		 * @param {string=} type ファイルの種類
+		 * @return {Paper} この紙
+		 */
+		saveImage(fileName, type) {
+			fileName = fileName || 'default.png';
+			if (type === undefined && /\.svg$/i.test(fileName)) type = 'image/svg+xml';
+			if (type === 'image/svg+xml') {
+				saveData(new TextEncoder().encode(this.toSvg()), fileName, type);
+			} else {
+				saveCanvas(this.canvas, fileName, type || 'image/png');
+			}
+			return this;
+		}
+
+		/**
+		 * SVGのために、かいた図形を記録するか
+		 * 記録を始めてからかいた図形だけがSVGになります（紙全体をクリアすると、それまでの記録は捨てられます）。
+		 * @param {boolean=} val 記録するか
+		 * @return {boolean|Paper} 記録するか／この紙
+		 */
+		svgRecording(val) {
+			if (val === undefined) return this._vectorRecorder !== null;
+			if (val && this._vectorRecorder === null) {
+				this._vectorRecorder = new VectorRecorder(this._ctx);
+				this._ctx = this._vectorRecorder.context();
+			} else if (!val && this._vectorRecorder !== null) {
+				this._ctx = this._vectorRecorder.target();
+				this._vectorRecorder = null;
+			}
+			return this;
+		}
+
+		/**
+		 * 記録した図形をSVGにする
+		 * @return {string} SVGの文字列
+		 */
+		toSvg() {
+			if (this._vectorRecorder === null) throw new Error('CROQUJS::toSvg: SVGにするには、先にsvgRecording(true)を呼んでください。');
+			return this._vectorRecorder.toSvg(this._pixelRatio);
+		}
+
+
+		/**
+		 * ホイールクリックでグリッドを表示するか
+		 * @param {boolean=} val ホイールクリックでグリッドを表示するか
+		 * @return {boolean|Paper} ホイールクリックでグリッドを表示するか／この紙
+		 */
+		gridVisible(val) {
+			if (val === undefined) return this._isGridVisible;
+			this._isGridVisible = val;
+			return this;
+		}
+
+		/**
+		 * 性能の表示（statsKeyのキーで切り替え）をするか
+		 * @param {boolean=} val 性能の表示をするか
+		 * @return {boolean|Paper} 性能の表示をするか／この紙
+		 */
+		statsVisible(val) {
+			if (val === undefined) return this._statsMonitor.visible();
+			this._statsMonitor.visible(val);
+			return this;
+		}
+
+		/**
+		 * 性能の表示を切り替えるキー（初期設定は'F2'）
+		 * @param {string=} val キーの名前（nullなら使わない）
+		 * @return {string|Paper} キーの名前／この紙
+		 */
+		statsKey(val) {
+			if (val === undefined) return this._statsKey;
+			this._statsKey = val;
+			return this;
+		}
+
+		/**
+		 * 性能の測定値を得る
+		 * @return {object} 測定値（fps, frameTime, drawTime, updateTime, sprites, collisionChecks, collisions, frameTimes）
+		 */
+		stats() {
+			return this._statsMonitor.stats();
+		}
+
+		/**
+		 * 今のフレームの性能の測定値に足す（ステージなどから使う）
+		 * @param {string} name 名前（updateTime, sprites, collisionChecks, collisionsなど）
+		 * @param {number} value 値
+		 * @return {Paper} この紙
+		 */
+		addStat(name, value) {
+			this._statsMonitor.add(name, value);
+			return this;
+		}
+
+		/**
+		 * 紙にマス目をかく
+		 */
+		drawGrid() {
+			const w = this.width(), h = this.height();
+			const wd = Math.floor(w / 10), hd = Math.floor(h / 10);
+
+			this.save();
+			this.lineWidth = 1;
+			this.strokeStyle = 'White';
+			this.globalCompositeOperation = 'xor';
+
+			for (let x = -wd; x < wd; x += 1) {
+				this.globalAlpha = (x % 10 === 0) ? 0.75 : 0.5;
+				this.beginPath();
+				this.moveTo(x * 10, -h);
+				this.lineTo(x * 10, h);
+				this.stroke();
+			}
+			for (let y = -hd; y < hd; y += 1) {
+				this.globalAlpha = (y % 10 === 0) ? 0.75 : 0.5;
+				this.beginPath();
+				this.moveTo(-w, y * 10);
+				this.lineTo(w, y * 10);
+				this.stroke();
+			}
+			this.restore();
+		}
+
+		/**
+		 * ホイール回転でズームするか
+		 * @param {boolean=} val ホイール回転でズームするか
+		 * @return {boolean|Paper} ホイール回転でズームするか／この紙
+		 */
+		zoomEnabled(val) {
+			if (val === undefined) return this._zoomHandler.enabled();
+			this._zoomHandler.enabled(val);
+			return this;
+		}
+
+
+		// キーボード -----------------------------------------------------------
+
+
+		/**
+		 * キー・ダウン（キーが押された）イベントに対応する関数をセットする
+		 * @param {function(string, KeyboardEvent):void=} handler 関数
+		 * @return {function(string, KeyboardEvent):void|Paper} 関数／この紙
+		 */
+		onKeyDown(handler) {
+			if (handler === undefined) return this._keyEventHandler.onKeyDown();
+			this._keyEventHandler.onKeyDown(handler);
+			return this;
+		}
+
+		/**
+		 * キー・アップ（キーが離された）イベントに対応する関数をセットする
+		 * @param {function(string, KeyboardEvent):void=} handler 関数
+		 * @return {function(string, KeyboardEvent):void|Paper} 関数／この紙
+		 */
+		onKeyUp(handler) {
+			if (handler === undefined) return this._keyEventHandler.onKeyUp();
+			this._keyEventHandler.onKeyUp(handler);
+			return this;
+		}
+
+		/**
+		 * カーソル・キーの左が押されているか？
+		 * @return {boolean} カーソル・キーの左が押されているか
+		 */
+		keyArrowLeft() {
+			return this._keyEventHandler.keyArrowLeft();
+		}
+
+		/**
+		 * カーソル・キーの上が押されているか？
+		 * @return {boolean} カーソル・キーの上が押されているか
+		 */
+		keyArrowUp() {
+			return this._keyEventHandler.keyArrowUp();
+		}
+
+		/**
+		 * カーソル・キーの右が押されているか？
+		 * @return {boolean} カーソル・キーの右が押されているか
+		 */
+		keyArrowRight() {
+			return this._keyEventHandler.keyArrowRight();
+		}
+
+		/**
+		 * カーソル・キーの下が押されているか？
+		 * @return {boolean} カーソル・キーの下が押されているか
+		 */
+		keyArrowDown() {
+			return this._keyEventHandler.keyArrowDown();
+		}
+
+		/**
+		 * キーが押されているか？
+		 * @param {...string} keys キーの名前（どれか1つでも押されていればtrue、何も指定しなければどれかのキー）
+		 * @return {boolean} キーが押されているか
+		 */
+		isKeyDown(...keys) {
+			return this._keyEventHandler.isKeyDown(...keys);
+		}
+
+		/**
+		 * キーの組み合わせに関数を割り当てる
+		 * @param {string} keys キーの組み合わせ（'Ctrl+Z'、'Shift+ArrowUp'など）
+		 * @param {function(string, ?KeyboardEvent):void} handler 関数（nullなら割り当てをやめる）
+		 * @param {object=} [opt={}] オプション
+		 * @param {number=} [opt.rate=0] 押し続けた時のくり返しの回数（1秒あたり、0ならくり返さない）
+		 * @param {number=} [opt.delay=500] くり返しを始めるまでの時間[ms]
+		 * @return {Paper} この紙
+		 */
+		bindKey(keys, handler, opt = {}) {
+			this._keyEventHandler.bindKey(keys, handler, opt);
+			return this;
+		}
+
+		/**
+		 * 前のフレームから押されたキー
+		 * @return {string[]} キーの名前の配列
+		 */
+		keysPressed() {
+			return this._keyEventHandler.keysPressed();
+		}
+
+		/**
+		 * 前のフレームから離されたキー
+		 * @return {string[]} キーの名前の配列
+		 */
+		keysReleased() {
+			return this._keyEventHandler.keysReleased();
+		}
+
+
+		// ゲームパッド ---------------------------------------------------------
+
+
+		/**
+		 * ゲームパッドをもらう
+		 * つながっていない時は、0番のゲームパッドをキーボードで操作できます。
+		 * @param {number=} [index=0] 番号
+		 * @return {GamepadInput} ゲームパッド
+		 */
+		gamepad(index = 0) {
+			return this._gamepadHandler.gamepad(index);
+		}
+
+		/**
+		 * キーボードでゲームパッドの代わりをするか
+		 * @param {boolean=} val 代わりをするか
+		 * @return {boolean|Paper} 代わりをするか／この紙
+		 */
+		gamepadEmulation(val) {
+			if (val === undefined) return this._gamepadHandler.emulationEnabled();
+			this._gamepadHandler.emulationEnabled(val);
+			return this;
+		}
+
+		/**
+		 * ゲームパッドがつながった時に呼ばれる関数をセットする
+		 * @param {function(number, string):void=} handler 関数（番号、ゲームパッドの名前）
+		 * @return {function(number, string):void|Paper} 関数／この紙
+		 */
+		onGamepadConnect(handler) {
+			if (handler === undefined) return this._gamepadHandler.onConnect();
+			this._gamepadHandler.onConnect(handler);
+			return this;
+		}
+
+		/**
+		 * ゲームパッドが外れた時に呼ばれる関数をセットする
+		 * @param {function(number):void=} handler 関数（番号）
+		 * @return {function(number):void|Paper} 関数／この紙
+		 */
+		onGamepadDisconnect(handler) {
+			if (handler === undefined) return this._gamepadHandler.onDisconnect();
+			this._gamepadHandler.onDisconnect(handler);
+			return this;
+		}
+
+
+		// マウス ---------------------------------------------------------------
+
+
+		/**
+		 * マウス・ダウン（ボタンが押された）イベントに対応する関数をセットする
+		 * @param {function(number, number, MouseEvent):void=} handler 関数
+		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 */
+		onMouseDown(handler) {
+			if (handler === undefined) return this._mouseEventHandler.onMouseDown();
+			this._mouseEventHandler.onMouseDown(handler);
+			return this;
+		}
+
+		/**
+		 * マウス・ムーブ（ポインターが移動した）イベントに対応する関数をセットする
+		 * @param {function(number, number, MouseEvent):void=} handler 関数
+		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 */
+		onMouseMove(handler) {
+			if (handler === undefined) return this._mouseEventHandler.onMouseMove();
+			this._mouseEventHandler.onMouseMove(handler);
+			return this;
+		}
+
+		/**
+		 * マウス・アップ（ボタンが離された）イベントに対応する関数をセットする
+		 * @param {function(number, number, MouseEvent):void=} handler 関数
+		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 */
+		onMouseUp(handler) {
+			if (handler === undefined) return this._mouseEventHandler.onMouseUp();
+			this._mouseEventHandler.onMouseUp(handler);
+			return this;
+		}
+
+		/**
+		 * マウス・クリック・イベントに対応する関数をセットする
+		 * @param {function(number, number, MouseEvent):void=} handler 関数
+		 * @return {function(number, number, MouseEvent):void|Paper} 関数／この紙
+		 */
+		onMouseClick(handler) {
+			if (handler === undefined) return this._mouseEventHandler.onMouseClick();
+			this._mouseEventHandler.onMouseClick(handler);
+			return this;
+		}
+
+		/**
+		 * マウス・ホイール・イベントに対応する関数をセットする
+		 * @param {function(number, WheelEvent):void=} handler 関数
+		 * @return {function(number, WheelEvent):void|Paper} 関数／この紙
+		 */
+		onMouseWheel(handler) {
+			if (handler === undefined) return this._mouseEventHandler.onMouseWheel();
+			this._mouseEventHandler.onMouseWheel(handler);
+			return this;
+		}
+
+		/**
+		 * マウスの横の場所を返す
+		 * @return {number} マウスの横の場所
+		 */
+		mouseX() {
+			return this._mouseEventHandler.mouseX();
+		}
+
+		/**
+		 * マウスのたての場所を返す
+		 * @return {number} マウスのたての場所
+		 */
+		mouseY() {
+			return this._mouseEventHandler.mouseY();
+		}
+
+		/**
+		 * マウスの左ボタンが押されているか？
+		 * @return {boolean} マウスの左ボタンが押されているか
+		 */
+		mouseLeft() {
+			return this._mouseEventHandler.mouseLeft();
+		}
+
+		/**
+		 * マウスの右ボタンが押されているか？
+		 * @return {boolean} マウスの右ボタンが押されているか
+		 */
+		mouseRight() {
+			return this._mouseEventHandler.mouseRight();
+		}
+
+		/**
+		 * マウスの中ボタンが押されているか？
+		 * @return {boolean} マウスの中ボタンが押されているか
+		 */
+		mouseMiddle() {
+			return this._mouseEventHandler.mouseMiddle();
+		}
+
+
+		// ポインター -----------------------------------------------------------
+
+
+		/**
+		 * ポインター・ダウン（指やペンが触れた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent):void=} handler 関数
+		 * @return {function(number, number, number, PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerDown(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerDown();
+			this._pointerEventHandler.onPointerDown(handler);
+			return this;
+		}
+
+		/**
+		 * ポインター・ムーブ（指やペンが動いた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent):void=} handler 関数
+		 * @return {function(number, number, number, PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerMove(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerMove();
+			this._pointerEventHandler.onPointerMove(handler);
+			return this;
+		}
+
+		/**
+		 * ポインター・アップ（指やペンが離れた）イベントに対応する関数をセットする
+		 * @param {function(number, number, number, PointerEvent):void=} handler 関数
+		 * @return {function(number, number, number, PointerEvent):void|Paper} 関数／この紙
+		 */
+		onPointerUp(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPointerUp();
+			this._pointerEventHandler.onPointerUp(handler);
+			return this;
+		}
+
+		/**
+		 * タップされた時に呼ばれる関数をセットする
+		 * @param {function(number, number, number):void=} handler 関数
+		 * @return {function(number, number, number):void|Paper} 関数／この紙
+		 */
+		onTap(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onTap();
+			this._pointerEventHandler.onTap(handler);
+			return this;
+		}
+
+		/**
+		 * 長押しされた時に呼ばれる関数をセットする
+		 * @param {function(number, number, number):void=} handler 関数
+		 * @return {function(number, number, number):void|Paper} 関数／この紙
+		 */
+		onLongPress(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onLongPress();
+			this._pointerEventHandler.onLongPress(handler);
+			return this;
+		}
+
+		/**
+		 * ピンチ（2本指で広げる・縮める）された時に呼ばれる関数をセットする
+		 * @param {function(number, number, number):void=} handler 関数
+		 * @return {function(number, number, number):void|Paper} 関数／この紙
+		 */
+		onPinch(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onPinch();
+			this._pointerEventHandler.onPinch(handler);
+			return this;
+		}
+
+		/**
+		 * 2本指で回転された時に呼ばれる関数をセットする
+		 * @param {function(number, number, number):void=} handler 関数
+		 * @return {function(number, number, number):void|Paper} 関数／この紙
+		 */
+		onRotate(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onRotate();
+			this._pointerEventHandler.onRotate(handler);
+			return this;
+		}
+
+		/**
+		 * スワイプされた時に呼ばれる関数をセットする
+		 * @param {function(string, number, number):void=} handler 関数
+		 * @return {function(string, number, number):void|Paper} 関数／この紙
+		 */
+		onSwipe(handler) {
+			if (handler === undefined) return this._pointerEventHandler.onSwipe();
+			this._pointerEventHandler.onSwipe(handler);
+			return this;
+		}
+
+		/**
+		 * 今触れているポインター（マルチタッチの指など）のリスト
+		 * @return {object[]} ポインター（id, x, y, type, pressure）の配列
+		 */
+		pointers() {
+			return this._pointerEventHandler.pointers();
+		}
+
+
+		// ファイルのドロップ ---------------------------------------------------
+
+
+		/**
+		 * ファイルがドロップされた時に呼ばれる関数をセットする
+		 * 画像は紙に、音声はオーディオ・バッファー（BufferSourcePatchのbufferに使える）に、JSONとテキストは値にして渡します。
+		 * @param {function(*, string, File):void=} handler 関数（読み込んだもの、種類（'image'、'audio'、'json'、'text'、'binary'）、ファイルを受け取る）
+		 * @return {function(*, string, File):void|Paper} 関数／この紙
+		 */
+		onFileDrop(handler) {
+			if (handler === undefined) return this._onFileDrop;
+			this._onFileDrop = handler;
+			return this;
+		}
+
+	};
+
+	let PAPER_IS_AUGMENTED = false;
+
+	function augmentPaperPrototype(ctx) {
+		PAPER_IS_AUGMENTED = true;
+		for (const name in ctx) {
+			if (typeof ctx[name] === 'function') {
+				if (Paper.prototype[name]) continue;
+				Paper.prototype[name] = function (...args) { return this._ctx[name](...args); }
+			} else {
+				// ヘッドレスのキャンバスでは、プロパティが親のプロトタイプにある場合がある
+				let org = Object.getPrototypeOf(ctx), d;
+				while (org && !(d = Object.getOwnPropertyDescriptor(org, name))) org = Object.getPrototypeOf(org);
+				if (!d) d = Object.getOwnPropertyDescriptor(ctx, name);
+				if (!d) continue;
+				const nd = { configurable: true, enumerable: d.enumerable }
+				if (d.get || 'value' in d) nd['get'] = function () { return this._ctx[name]; };
+				if (d.set || d.writable) nd['set'] = function (v) { this._ctx[name] = v; };
+				Object.defineProperty(Paper.prototype, name, nd);
+			}
+		}
+	}
+
+
+	// ヘッドレス --------------------------------------------------------------
+
+
+	let HEADLESS_BACKEND = null;
+
+	/**
+	 * ヘッドレス（画面を使わない）モードにする
+	 * 指定しなかった関数は、OffscreenCanvasやブラウザのダウンロードで代わりに処理します。
+	 * @param {object=} [backend={}] バックエンド
+	 * @param {function(number, number):*=} backend.createCanvas キャンバスを作る関数
+	 * @param {function(string, Uint8Array, string):void=} backend.writeFile ファイルを書き出す関数
+	 * @param {function(string|Uint8Array):*=} backend.loadImage 画像を読み込む関数（画像かそのプロミスを返す）
+	 * @param {function(string):*=} backend.readFile ファイルを読み込む関数（Uint8Arrayかそのプロミスを返す）
+	 */
+	const headless = function (backend = {}) {
+		HEADLESS_BACKEND = backend;
+	};
+
+	/**
+	 * ヘッドレス（画面を使わない）モードか？
+	 * @return {boolean} ヘッドレス・モードか
+	 */
+	const isHeadless = function () {
+		return HEADLESS_BACKEND !== null || typeof document === 'undefined';
+	};
+
+	/**
+	 * キャンバスを作る（ライブラリ内だけで使用）
+	 * @private
+	 * @param {number} width 横の大きさ
+	 * @param {number} height たての大きさ
+	 * @return {HTMLCanvasElement|OffscreenCanvas|*} キャンバス
+	 */
+	const createCanvas = function (width, height) {
+		if (!isHeadless()) {
+			const can = document.createElement('canvas');
+			can.setAttribute('width', '' + width);
+			can.setAttribute('height', '' + height);
+			can.setAttribute('tabindex', '1');
+			return can;
+		}
+		const b = HEADLESS_BACKEND || {};
+		let can;
+		if (b.createCanvas) {
+			can = b.createCanvas(width, height);
+		} else if (typeof OffscreenCanvas !== 'undefined') {
+			can = new OffscreenCanvas(width, height);
+		} else {
+			throw new Error('キャンバスを作れません。CROQUJS.headlessでキャンバスを作る関数を指定してください。');
+		}
+		// イベントを受け取れないキャンバスには、イベントの仕組みを付け足す
+		if (typeof can.addEventListener !== 'function') {
+			const et = new EventTarget();
+			can.addEventListener    = et.addEventListener.bind(et);
+			can.removeEventListener = et.removeEventListener.bind(et);
+			can.dispatchEvent       = et.dispatchEvent.bind(et);
+		}
+		return can;
+	};
+
+	/**
+	 * キャンバスの絵をファイルに保存する（ライブラリ内だけで使用）
+	 * @private
+	 * @param {HTMLCanvasElement|OffscreenCanvas|*} can キャンバス
+	 * @param {string} fileName ファイル名
+	 * @param {string} type ファイルの種類
+	 */
+	const saveCanvas = function (can, fileName, type) {
+		canvasToBytes(can, type, (data) => saveData(data, fileName, type));
+	};
+
+	/**
+	 * キャンバスの絵をファイルのデータにする（ライブラリ内だけで使用）
+	 * OffscreenCanvasの時だけ、関数は後で呼ばれます。
+	 * @private
+	 * @param {HTMLCanvasElement|OffscreenCanvas|*} can キャンバス
+	 * @param {string} type ファイルの種類
+	 * @param {function(Uint8Array):void} callback データを受け取る関数
+	 */
+	const canvasToBytes = function (can, type, callback) {
+		if (typeof can.toBuffer === 'function') {  // Node.jsのキャンバス
+			callback(new Uint8Array(can.toBuffer(type)));
+		} else if (typeof can.toDataURL === 'function') {
+			const data = atob(can.toDataURL(type).split(',')[1]);
+			const buf = new Uint8Array(data.length);
+
+			for (let i = 0, I = data.length; i < I; i += 1) {
+				buf[i] = data.charCodeAt(i);
+			}
+			callback(buf);
+		} else {  // OffscreenCanvas
+			can.convertToBlob({ type }).then(b => b.arrayBuffer()).then(ab => callback(new Uint8Array(ab)));
+		}
+	};
+
+	/**
+	 * データをファイルに保存する（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8Array} data データ
+	 * @param {string} fileName ファイル名
+	 * @param {string} type ファイルの種類
+	 */
+	const saveData = function (data, fileName, type) {
+		if (HEADLESS_BACKEND !== null && HEADLESS_BACKEND.writeFile) {
+			HEADLESS_BACKEND.writeFile(fileName, data, type);
+		} else {
+			saveBlob(new Blob([data], { type }), fileName);
+		}
+	};
+
+	/**
+	 * ブロブをダウンロードさせる（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Blob} blob ブロブ
+	 * @param {string} fileName ファイル名
+	 */
+	const saveBlob = function (blob, fileName) {
+		const a = document.createElement('a');
+		a.href = window.URL.createObjectURL(blob);
+		a.download = fileName;
+		a.click();
+	};
+
+
+	// ファイル形式 ------------------------------------------------------------
+
+
+	/**
+	 * アニメーションGIFの作成
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class GifEncoder {
+
+		/**
+		 * アニメーションGIFの作成処理を作る
+		 * @constructor
+		 * @param {number} width 横の大きさ
+		 * @param {number} height たての大きさ
+		 * @param {number} delay 1コマの時間 [ms]
+		 */
+		constructor(width, height, delay) {
+			this._w = width;
+			this._h = height;
+			this._delay = Math.max(2, Math.round(delay / 10));  // 1/100秒単位
+			this._bytes = [];
+
+			this._writeStr('GIF89a');
+			this._write16(width);
+			this._write16(height);
+			this._bytes.push(0x70, 0, 0);  // 全体の色テーブルは使わない
+			// 繰り返し再生する
+			this._bytes.push(0x21, 0xFF, 0x0B);
+			this._writeStr('NETSCAPE2.0');
+			this._bytes.push(0x03, 0x01, 0, 0, 0);
+		}
+
+		/**
+		 * コマを追加する
+		 * @param {Uint8ClampedArray} rgba 色（RGBA）のデータ
+		 */
+		addFrame(rgba) {
+			const [palette, indices] = quantize(rgba);
+			const bs = this._bytes;
+
+			bs.push(0x21, 0xF9, 0x04, 0x04);  // 前のコマを残す
+			this._write16(this._delay);
+			bs.push(0, 0);
+
+			bs.push(0x2C);
+			this._write16(0);
+			this._write16(0);
+			this._write16(this._w);
+			this._write16(this._h);
+			bs.push(0x87);  // 256色のコマの色テーブル
+			for (const v of palette) bs.push(v);
+
+			bs.push(8);
+			const data = lzwEncode(indices, 8);
+			for (let i = 0; i < data.length; i += 255) {
+				const len = Math.min(255, data.length - i);
+				bs.push(len);
+				for (let j = 0; j < len; j += 1) bs.push(data[i + j]);
+			}
+			bs.push(0);
+		}
+
+		/**
+		 * 作成を終える
+		 * @return {Uint8Array} GIFファイルのデータ
+		 */
+		finish() {
+			this._bytes.push(0x3B);
+			return new Uint8Array(this._bytes);
+		}
+
+		/**
+		 * 文字列を書き込む（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} str 文字列
+		 */
+		_writeStr(str) {
+			for (let i = 0; i < str.length; i += 1) this._bytes.push(str.charCodeAt(i));
+		}
+
+		/**
+		 * 16ビットの数を書き込む（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} v 数
+		 */
+		_write16(v) {
+			this._bytes.push(v & 0xFF, (v >> 8) & 0xFF);
+		}
+
+	}
+
+	/**
+	 * 色を256色に減らす（ライブラリ内だけで使用）
+	 * 色を各5ビットの箱に分けてよく使われている箱の平均の色を選び、ほかの色は一番近い色にします
+	 * （透明な部分は白の上に重ねた色にします）。
+	 * @private
+	 * @param {Uint8ClampedArray} rgba 色（RGBA）のデータ
+	 * @return {Array} 色テーブル（256色×RGB）と色の番号の配列
+	 */
+	const quantize = function (rgba) {
+		const N = rgba.length / 4;
+		const keys = new Uint16Array(N);
+		const hist = new Uint32Array(32768);
+		const sums = new Float64Array(32768 * 3);
+
+		for (let i = 0; i < N; i += 1) {
+			const a = rgba[i * 4 + 3], w = 255 - a;
+			const r = (rgba[i * 4 + 0] * a + 255 * w) / 255;
+			const g = (rgba[i * 4 + 1] * a + 255 * w) / 255;
+			const b = (rgba[i * 4 + 2] * a + 255 * w) / 255;
+			const k = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+			keys[i] = k;
+			hist[k] += 1;
+			sums[k * 3 + 0] += r;
+			sums[k * 3 + 1] += g;
+			sums[k * 3 + 2] += b;
+		}
+		const used = [];
+		for (let k = 0; k < 32768; k += 1) {
+			if (hist[k]) used.push(k);
+		}
+		used.sort((a, b) => hist[b] - hist[a]);
+		const mean = k => [0, 1, 2].map(j => Math.round(sums[k * 3 + j] / hist[k]));
+		const cs = used.slice(0, 256).map(mean);
+
+		const palette = new Uint8Array(256 * 3);
+		cs.forEach((c, i) => palette.set(c, i * 3));
+
+		const map = new Int16Array(32768).fill(-1);
+		const indices = new Uint8Array(N);
+		for (let i = 0; i < N; i += 1) {
+			const k = keys[i];
+			if (map[k] === -1) {
+				const [r, g, b] = mean(k);
+				let min = Number.MAX_VALUE;
+				for (let j = 0; j < cs.length; j += 1) {
+					const c = cs[j];
+					const d = (c[0] - r) * (c[0] - r) + (c[1] - g) * (c[1] - g) + (c[2] - b) * (c[2] - b);
+					if (d < min) {
+						min = d;
+						map[k] = j;
+					}
+				}
+			}
+			indices[i] = map[k];
+		}
+		return [palette, indices];
+	};
+
+	/**
+	 * GIFのLZW圧縮をする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8Array} indices 色の番号の配列
+	 * @param {number} minCodeSize 最小のコードのビット数
+	 * @return {number[]} 圧縮したデータ
+	 */
+	const lzwEncode = function (indices, minCodeSize) {
+		const clearCode = 1 << minCodeSize, eoiCode = clearCode + 1;
+		const out = [];
+		let cur = 0, curShift = 0;
+		let codeSize = minCodeSize + 1, nextCode = eoiCode + 1;
+		let table = new Map();
+
+		const emit = (code) => {
+			cur |= code << curShift;
+			curShift += codeSize;
+			while (8 <= curShift) {
+				out.push(cur & 0xFF);
+				cur >>= 8;
+				curShift -= 8;
+			}
+		};
+		emit(clearCode);
+
+		let code = indices[0];
+		for (let i = 1; i < indices.length; i += 1) {
+			const k = indices[i];
+			const key = (code << 8) | k;
+			const c = table.get(key);
+			if (c !== undefined) {
+				code = c;
+				continue;
+			}
+			emit(code);
+			if (nextCode === 4096) {  // 表がいっぱいになったら最初から
+				emit(clearCode);
+				nextCode = eoiCode + 1;
+				codeSize = minCodeSize + 1;
+				table = new Map();
+			} else {
+				if ((1 << codeSize) <= nextCode) codeSize += 1;
+				table.set(key, nextCode);
+				nextCode += 1;
+			}
+			code = k;
+		}
+		emit(code);
+		emit(eoiCode);
+		if (0 < curShift) out.push(cur & 0xFF);
+		return out;
+	};
+
+	/**
+	 * 圧縮しないZIPファイルを作る（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Array} files ファイル名とデータの組の配列
+	 * @return {Uint8Array} ZIPファイルのデータ
+	 */
+	const makeZip = function (files) {
+		const d = new Date();
+		const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+		const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+		const bs = [], cd = [];
+		const w16 = (a, v) => a.push(v & 0xFF, (v >> 8) & 0xFF);
+		const w32 = (a, v) => a.push(v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, (v >>> 24) & 0xFF);
+		const chunks = [];
+		let offset = 0;
+
+		for (const [name, data] of files) {
+			const crc = crc32(data);
+			const head = [];
+			w32(head, 0x04034B50); w16(head, 20); w16(head, 0); w16(head, 0); w16(head, time); w16(head, date);
+			w32(head, crc); w32(head, data.length); w32(head, data.length); w16(head, name.length); w16(head, 0);
+			for (const c of name) head.push(c.charCodeAt(0));
+
+			w32(cd, 0x02014B50); w16(cd, 20); w16(cd, 20); w16(cd, 0); w16(cd, 0); w16(cd, time); w16(cd, date);
+			w32(cd, crc); w32(cd, data.length); w32(cd, data.length); w16(cd, name.length); w16(cd, 0); w16(cd, 0);
+			w16(cd, 0); w16(cd, 0); w32(cd, 0); w32(cd, offset);
+			for (const c of name) cd.push(c.charCodeAt(0));
+
+			chunks.push(new Uint8Array(head), data);
+			offset += head.length + data.length;
+		}
+		w32(bs, 0x06054B50); w16(bs, 0); w16(bs, 0); w16(bs, files.length); w16(bs, files.length);
+		w32(bs, cd.length); w32(bs, offset); w16(bs, 0);
+		chunks.push(new Uint8Array(cd), new Uint8Array(bs));
+
+		const ret = new Uint8Array(offset + cd.length + bs.length);
+		let pos = 0;
+		for (const c of chunks) {
+			ret.set(c, pos);
+			pos += c.length;
+		}
+		return ret;
+	};
+
+	/**
+	 * CRC32を計算する（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8Array} data データ
+	 * @return {number} CRC32
+	 */
+	const crc32 = function (data) {
+		let crc = 0xFFFFFFFF;
+		for (let i = 0; i < data.length; i += 1) {
+			crc ^= data[i];
+			for (let j = 0; j < 8; j += 1) crc = (crc & 1) ? ((crc >>> 1) ^ 0xEDB88320) : (crc >>> 1);
+		}
+		return (crc ^ 0xFFFFFFFF) >>> 0;
+	};
+
+
+	// フィルター ------------------------------------------------------------
+
+
+	/**
+	 * 明るさを求める（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8ClampedArray} d ピクセル・データ
+	 * @param {number} i ピクセルの場所
+	 * @return {number} 明るさ（0～255）
+	 */
+	const luminance = function (d, i) {
+		return 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+	};
+
+	/**
+	 * ピクセルごとの関数からフィルターを作る（ライブラリ内だけで使用）
+	 * @private
+	 * @param {function(number, number, number, number, number, number):number[]} fn 関数
+	 * @return {function(Uint8ClampedArray, number, number):void} フィルター
+	 */
+	const pixelFilter = function (fn) {
+		return (d, w, h) => {
+			for (let y = 0, i = 0; y < h; y += 1) {
+				for (let x = 0; x < w; x += 1, i += 4) {
+					const c = fn(d[i], d[i + 1], d[i + 2], d[i + 3], x, y);
+					if (!c) continue;  // 何も返さなければ、そのままにする
+					d[i] = c[0]; d[i + 1] = c[1]; d[i + 2] = c[2];
+					if (c.length === 4) d[i + 3] = c[3];
+				}
+			}
+		};
+	};
+
+	/**
+	 * 色にアルファを掛けたピクセル・データを作る（ライブラリ内だけで使用）
+	 * 透明なピクセルの色が、ぼかした時に混ざらないようにするために使います。
+	 * @private
+	 * @param {Uint8ClampedArray} d ピクセル・データ
+	 * @return {Float32Array} アルファを掛けたピクセル・データ
+	 */
+	const premultiply = function (d) {
+		const p = new Float32Array(d.length);
+		for (let i = 0; i < d.length; i += 4) {
+			const a = d[i + 3] / 255;
+			p[i] = d[i] * a; p[i + 1] = d[i + 1] * a; p[i + 2] = d[i + 2] * a; p[i + 3] = d[i + 3];
+		}
+		return p;
+	};
+
+	/**
+	 * アルファを掛けたピクセル・データを元に戻す（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Float32Array} p アルファを掛けたピクセル・データ
+	 * @param {Uint8ClampedArray} d 結果のピクセル・データ
+	 * @param {number=} [offset=0] 色に足す数
+	 */
+	const unpremultiply = function (p, d, offset = 0) {
+		for (let i = 0; i < d.length; i += 4) {
+			const a = p[i + 3] / 255;
+			if (a <= 0) {
+				d[i] = d[i + 1] = d[i + 2] = d[i + 3] = 0;
+				continue;
+			}
+			d[i] = p[i] / a + offset; d[i + 1] = p[i + 1] / a + offset; d[i + 2] = p[i + 2] / a + offset; d[i + 3] = p[i + 3];
+		}
+	};
+
+	/**
+	 * 横とたてに分けてたたみ込みをする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Float32Array} d ピクセル・データ
+	 * @param {number} w 横の大きさ
+	 * @param {number} h たての大きさ
+	 * @param {number[]} k 1次元のカーネル（合計は1）
+	 */
+	const separableConvolve = function (d, w, h, k) {
+		const r = (k.length - 1) / 2;
+		const tmp = new Float32Array(d.length);
+		const pass = (src, dst, len, num, step, stride) => {  // 1方向のたたみ込み（端の外は端のピクセルとする）
+			for (let n = 0; n < num; n += 1) {
+				for (let p = 0; p < len; p += 1) {
+					let r0 = 0, g0 = 0, b0 = 0, a0 = 0;
+					for (let j = -r; j <= r; j += 1) {
+						const q = Math.min(len - 1, Math.max(0, p + j));
+						const i = n * stride + q * step, kv = k[j + r];
+						r0 += src[i] * kv; g0 += src[i + 1] * kv; b0 += src[i + 2] * kv; a0 += src[i + 3] * kv;
+					}
+					const o = n * stride + p * step;
+					dst[o] = r0; dst[o + 1] = g0; dst[o + 2] = b0; dst[o + 3] = a0;
+				}
+			}
+		};
+		pass(d, tmp, w, h, 4, w * 4);
+		pass(tmp, d, h, w, w * 4, 4);
+	};
+
+	/**
+	 * 1方向の平均をとる（移動平均なので、半径によらず速い）（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8ClampedArray|Float32Array} src 元のピクセル・データ
+	 * @param {Uint8ClampedArray|Float32Array} dst 結果のピクセル・データ
+	 * @param {number} len 1列の長さ
+	 * @param {number} num 列の数
+	 * @param {number} step 列の中の次のピクセルまでの差
+	 * @param {number} stride 次の列までの差
+	 * @param {number} r 半径
+	 */
+	const boxPass = function (src, dst, len, num, step, stride, r) {
+		const n = 2 * r + 1;
+		for (let k = 0; k < num; k += 1) {
+			const b = k * stride;
+			for (let c = 0; c < 4; c += 1) {
+				let sum = 0;
+				for (let j = -r; j <= r; j += 1) sum += src[b + Math.min(len - 1, Math.max(0, j)) * step + c];
+				for (let p = 0; p < len; p += 1) {
+					dst[b + p * step + c] = sum / n;
+					sum += src[b + Math.min(len - 1, p + r + 1) * step + c] - src[b + Math.max(0, p - r) * step + c];
+				}
+			}
+		}
+	};
+
+	/**
+	 * たたみ込みをする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8ClampedArray|Float32Array} d ピクセル・データ
+	 * @param {number} w 横の大きさ
+	 * @param {number} h たての大きさ
+	 * @param {number[]} kernel 正方形のカーネル（1辺は奇数）
+	 * @param {number} divisor 割る数
+	 * @param {number} offset 色に足す数
+	 * @param {boolean} withAlpha アルファもたたみ込むか
+	 */
+	const convolve = function (d, w, h, kernel, divisor, offset, withAlpha) {
+		const size = Math.round(Math.sqrt(kernel.length)), r = (size - 1) / 2;
+		if (size * size !== kernel.length || size % 2 === 0) throw new Error('CROQUJS::applyFilter: カーネルは1辺が奇数の正方形の配列にしてください。');
+		const src = d.slice();
+		for (let y = 0, o = 0; y < h; y += 1) {
+			for (let x = 0; x < w; x += 1, o += 4) {
+				let r0 = 0, g0 = 0, b0 = 0, a0 = 0;
+				for (let ky = 0; ky < size; ky += 1) {
+					const yy = Math.min(h - 1, Math.max(0, y + ky - r));
+					for (let kx = 0; kx < size; kx += 1) {
+						const xx = Math.min(w - 1, Math.max(0, x + kx - r));
+						const i = (yy * w + xx) * 4, kv = kernel[ky * size + kx];
+						r0 += src[i] * kv; g0 += src[i + 1] * kv; b0 += src[i + 2] * kv; a0 += src[i + 3] * kv;
+					}
+				}
+				d[o] = r0 / divisor + offset; d[o + 1] = g0 / divisor + offset; d[o + 2] = b0 / divisor + offset;
+				if (withAlpha) d[o + 3] = Math.min(255, Math.max(0, a0 / divisor));
+			}
+		}
+	};
+
+	const FILTERS = {
+		grayscale(d) {
+			for (let i = 0; i < d.length; i += 4) d[i] = d[i + 1] = d[i + 2] = luminance(d, i);
+		},
+		invert(d) {
+			for (let i = 0; i < d.length; i += 4) {
+				d[i] = 255 - d[i]; d[i + 1] = 255 - d[i + 1]; d[i + 2] = 255 - d[i + 2];
+			}
+		},
+		threshold(d, w, h, { level = 128 }) {
+			for (let i = 0; i < d.length; i += 4) d[i] = d[i + 1] = d[i + 2] = (level <= luminance(d, i)) ? 255 : 0;
+		},
+		posterize(d, w, h, { levels = 4 }) {
+			if (levels < 2) throw new RangeError('CROQUJS::applyFilter: 階調の数は2以上にしてください。');
+			const s = 255 / (levels - 1);
+			for (let i = 0; i < d.length; i += 1) {
+				if (i % 4 !== 3) d[i] = Math.round(Math.round(d[i] / s) * s);
+			}
+		},
+		boxBlur(d, w, h, { radius = 1 }) {
+			const r = Math.round(radius);
+			if (r < 1) return;
+			const p = premultiply(d), tmp = new Float32Array(d.length);
+			boxPass(p, tmp, w, h, 4, w * 4, r);
+			boxPass(tmp, p, h, w, w * 4, 4, r);
+			unpremultiply(p, d);
+		},
+		gaussianBlur(d, w, h, { radius = 2 }) {
+			const r = Math.ceil(radius * 3), s2 = 2 * radius * radius;
+			if (r < 1) return;
+			const k = [];
+			for (let i = -r; i <= r; i += 1) k.push(Math.exp(-i * i / s2));
+			const sum = k.reduce((a, b) => a + b, 0);
+			const p = premultiply(d);
+			separableConvolve(p, w, h, k.map(v => v / sum));
+			unpremultiply(p, d);
+		},
+		convolution(d, w, h, { kernel = [0, 0, 0, 0, 1, 0, 0, 0, 0], divisor = null, offset = 0, preserveAlpha = false }) {
+			const sum = kernel.reduce((a, b) => a + b, 0);
+			if (preserveAlpha) {  // アルファはそのままにして、色だけをたたみ込む
+				convolve(d, w, h, kernel, divisor || sum || 1, offset, false);
+				return;
+			}
+			const p = premultiply(d);
+			convolve(p, w, h, kernel, divisor || sum || 1, 0, true);
+			unpremultiply(p, d, offset);
+		},
+		edge(d, w, h) {
+			// ソーベル・フィルターで明るさの変化の大きさを求める
+			const l = new Float32Array(w * h);
+			for (let i = 0; i < l.length; i += 1) l[i] = luminance(d, i * 4);
+			const at = (x, y) => l[Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))];
+			for (let y = 0, o = 0; y < h; y += 1) {
+				for (let x = 0; x < w; x += 1, o += 4) {
+					const gx = (at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1)) - (at(x - 1, y - 1) + 2 * at(x - 1, y) + at(x - 1, y + 1));
+					const gy = (at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1)) - (at(x - 1, y - 1) + 2 * at(x, y - 1) + at(x + 1, y - 1));
+					d[o] = d[o + 1] = d[o + 2] = Math.hypot(gx, gy);
+				}
+			}
+		},
+	};
+
+
+	// 画像の比較 ------------------------------------------------------------
+
+
+	/**
+	 * 2つの画像を比べる（かいた絵が変わっていないかを確かめる時などに使う）
+	 * @param {Paper|ImageData} a 画像A
+	 * @param {Paper|ImageData} b 画像B
+	 * @param {object=} [opt={}] オプション
+	 * @param {number=} [opt.tolerance=0] 同じとみなす色の差（RGBAそれぞれ0～255）
+	 * @return {object} 結果（違うピクセルの割合ratio、数count、違うピクセルを赤で示した紙diff）
+	 */
+	const compareImages = function (a, b, { tolerance = 0 } = {}) {
+		const da = toImageData(a), db = toImageData(b);
+		if (da.width !== db.width || da.height !== db.height) {
+			throw new Error(`CROQUJS::compareImages: 画像の大きさが違います（${da.width}x${da.height}と${db.width}x${db.height}）。`);
+		}
+		const w = da.width, h = da.height;
+		const pr = (a instanceof Paper) ? a.pixelRatio() : 1;
+		const diff = new Paper(Math.round(w / pr), Math.round(h / pr), false);
+		if (pr !== 1) diff.pixelRatio(pr);
+		const dd = diff.createImageData(w, h);
+		const pa = da.data, pb = db.data, pd = dd.data;
+
+		let count = 0;
+		for (let i = 0, I = w * h * 4; i < I; i += 4) {
+			const d = Math.max(Math.abs(pa[i] - pb[i]), Math.abs(pa[i + 1] - pb[i + 1]), Math.abs(pa[i + 2] - pb[i + 2]), Math.abs(pa[i + 3] - pb[i + 3]));
+			if (tolerance < d) {
+				count += 1;
+				pd[i] = 255; pd[i + 1] = 0; pd[i + 2] = 0;
+			} else {
+				// 同じピクセルは薄い灰色にする
+				const gray = (pa[i] * 0.299 + pa[i + 1] * 0.587 + pa[i + 2] * 0.114) * pa[i + 3] / 255 + 255 - pa[i + 3];
+				pd[i] = pd[i + 1] = pd[i + 2] = 255 - (255 - gray) * 0.25;
+			}
+			pd[i + 3] = 255;
+		}
+		diff.putImageData(dd, 0, 0);
+		return { ratio: (w * h) ? count / (w * h) : 0, count, diff };
+	};
+
+	/**
+	 * 画像をImageDataにする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Paper|ImageData} img 画像
+	 * @return {ImageData} ImageData
+	 */
+	const toImageData = function (img) {
+		if (img instanceof Paper) return img.getImageData(0, 0, img.canvas.width, img.canvas.height);
+		if (img && img.data && img.width !== undefined) return img;
+		throw new Error('CROQUJS::compareImages: 比べられるのは紙かImageDataだけです。');
+	};
+
+	/**
+	 * 画像（基準のPNGなど）を読み込んで、紙にする
+	 * ヘッドレスの時は、CROQUJS.headlessでloadImage関数（URLかデータから画像を作る）を指定してください。
+	 * @param {string|Uint8Array} src 画像のURLかデータ
+	 * @return {Promise<Paper>} 紙を返すプロミス
+	 */
+	const loadImagePaper = function (src) {
+		return loadImageElement(src).then((img) => {
+			const p = new Paper(img.width, img.height, false);
+			p.drawImage(img, 0, 0);
+			return p;
+		});
+	};
+
+	/**
+	 * 画像を読み込む（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string|Uint8Array} src 画像のURLかデータ
+	 * @return {Promise<HTMLImageElement|*>} 画像を返すプロミス
+	 */
+	const loadImageElement = function (src) {
+		if (HEADLESS_BACKEND !== null && HEADLESS_BACKEND.loadImage) {
+			return new Promise(resolve => resolve(HEADLESS_BACKEND.loadImage(src)));
+		}
+		if (typeof Image === 'undefined') {
+			return Promise.reject(new Error('CROQUJS::loadImagePaper: 画像を読み込めません。CROQUJS.headlessで画像を読み込む関数を指定してください。'));
+		}
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			let url = null;
+			if (typeof src === 'string') {
+				img.crossOrigin = 'anonymous';
+				img.src = src;
+			} else {
+				url = URL.createObjectURL(new Blob([src], { type: 'image/png' }));
+				img.src = url;
+			}
+			img.onload = () => {
+				if (url !== null) URL.revokeObjectURL(url);
+				resolve(img);
+			};
+			img.onerror = () => reject(new Error(`CROQUJS::loadImagePaper: 画像を読み込めませんでした（${(typeof src === 'string') ? src : 'データ'}）。`));
+		});
+	};
+
+
+	// 素材の読み込み ----------------------------------------------------------
+
+
+	const ASSETS = {};
+	const PRELOADS = [];
+	const PRELOAD_STATE = { total: 0, loaded: 0, papers: [], canvas: null };
+
+	const ASSET_TYPES = {
+		image: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'svg'],
+		audio: ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac'],
+		json : ['json'],
+		text : ['txt', 'csv', 'tsv', 'xml', 'html', 'md'],
+	};
+
+	/**
+	 * 素材（画像、音声、JSON、テキスト）を読み込む
+	 * プログラムの最初かpreload関数の中で呼ぶと、読み込み終わってからsetup関数が呼ばれます（読み込めなかった素材は、setup関数の前にエラーを表示します）。
+	 * 読み込んだ素材は、setup関数の引数かCROQUJS.asset関数で使えます。
+	 * @param {object} assets 名前とURL（か{ url, type }）の組（typeは'image'、'audio'、'json'、'text'、'binary'）
+	 * @param {object=} [opt={}] オプション
+	 * @param {Paper=} opt.paper 進み具合をかく紙（指定しなければ仮の表示を作る）
+	 * @param {function(number, number):void=} opt.onProgress 進み具合（読み込んだ数、全体の数）を受け取る関数
+	 * @return {Promise<object>} 名前と素材の組を返すプロミス
+	 */
+	const preload = function (assets, { paper = null, onProgress = null } = {}) {
+		const st = PRELOAD_STATE;
+		if (paper !== null && !st.papers.includes(paper)) st.papers.push(paper);
+
+		const ps = Object.entries(assets).map(([name, a]) => {
+			const { url, type = assetType(url) } = (typeof a === 'string') ? { url: a } : a;
+			st.total += 1;
+			return loadAsset(url, type).then((asset) => {
+				ASSETS[name] = asset;
+				st.loaded += 1;
+				if (onProgress) onProgress(st.loaded, st.total);
+				drawPreloadProgress();
+			}, (e) => {
+				st.loaded += 1;
+				throw e;
+			});
+		});
+		drawPreloadProgress();
+		PRELOADS.push(...ps);
+		const r = settlePreloads().then((es) => {
+			if (es.length) throw es[0];
+			return ASSETS;
+		});
+		// 戻り値を使わなくても、処理されないエラーにならないようにする
+		r.catch(() => {});
+		return r;
+	};
+
+	/**
+	 * 読み込み始めたすべての素材を待つ（ライブラリ内だけで使用）
+	 * 読み込めなかった素材があっても、すべて終わるのを待ってから進み具合の表示を片付ける。
+	 * @private
+	 * @return {Promise<Error[]>} 読み込めなかった素材のエラーの配列を返すプロミス
+	 */
+	const settlePreloads = function () {
+		const st = PRELOAD_STATE;
+		return Promise.all(PRELOADS.map(p => p.then(() => null, e => e))).then((rs) => {
+			if (st.loaded === st.total) finishPreloadProgress();
+			return rs.filter(e => e !== null);
+		});
+	};
+
+	/**
+	 * 素材を読み込んでいる途中か？
+	 * @return {boolean} 素材を読み込んでいる途中か
+	 */
+	const isPreloading = function () {
+		return PRELOAD_STATE.loaded < PRELOAD_STATE.total;
+	};
+
+	/**
+	 * 読み込んだ素材を得る
+	 * @param {string} name 名前
+	 * @return {*} 素材
+	 */
+	const asset = function (name) {
+		if (!(name in ASSETS)) throw new Error(`CROQUJS::asset: 素材「${name}」は読み込まれていません。`);
+		return ASSETS[name];
+	};
+
+	/**
+	 * 読み込んだすべての素材を得る
+	 * @return {object} 名前と素材の組
+	 */
+	const assets = function () {
+		return Object.assign({}, ASSETS);
+	};
+
+	/**
+	 * URLの拡張子から素材の種類を決める（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} url URL
+	 * @return {string} 素材の種類
+	 */
+	const assetType = function (url) {
+		const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+		for (const [type, exts] of Object.entries(ASSET_TYPES)) {
+			if (exts.includes(ext)) return type;
+		}
+		return 'binary';
+	};
+
+	/**
+	 * 素材を1つ読み込む（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} url URL
+	 * @param {string} type 素材の種類
+	 * @return {Promise<*>} 素材を返すプロミス
+	 */
+	const loadAsset = function (url, type) {
+		if (type === 'image') return loadImageElement(url);
+		return readFile(url).then(data => decodeAsset(data, type));
+	};
+
+	/**
+	 * データを素材にする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8Array} data データ
+	 * @param {string} type 素材の種類（'image'以外）
+	 * @return {*|Promise<*>} 素材（かそのプロミス）
+	 */
+	const decodeAsset = function (data, type) {
+		switch (type) {
+			case 'json'  : return JSON.parse(new TextDecoder().decode(data));
+			case 'text'  : return new TextDecoder().decode(data);
+			case 'audio' : return decodeAudio(data);
+			case 'binary': return data;
+		}
+		throw new Error(`CROQUJS::preload: 素材の種類「${type}」は読み込めません。`);
+	};
+
+	/**
+	 * ファイル（ドロップしたり選んだりしたもの）を読み込む
+	 * 画像は紙に、音声はオーディオ・バッファー（BufferSourcePatchのbufferに使える）に、JSONとテキストは値にします。
+	 * @param {File|Blob} file ファイル
+	 * @return {Promise<object>} 読み込んだもの（name, type, data）を返すプロミス
+	 */
+	const loadFile = function (file) {
+		const type = fileType(file);
+		return file.arrayBuffer().then((buf) => {
+			const d = new Uint8Array(buf);
+			return (type === 'image') ? loadImagePaper(d) : decodeAsset(d, type);
+		}).then(data => ({ name: file.name, type, data }));
+	};
+
+	/**
+	 * ファイルの種類を決める（ライブラリ内だけで使用）
+	 * @private
+	 * @param {File|Blob} file ファイル
+	 * @return {string} 素材の種類
+	 */
+	const fileType = function (file) {
+		const m = file.type || '';
+		if (m.startsWith('image/')) return 'image';
+		if (m.startsWith('audio/')) return 'audio';
+		if (m === 'application/json') return 'json';
+		if (m.startsWith('text/')) return 'text';
+		return assetType(file.name || '');
+	};
+
+	/**
+	 * ファイルを読み込む（ライブラリ内だけで使用）
+	 * @private
+	 * @param {string} url URL
+	 * @return {Promise<Uint8Array>} データを返すプロミス
+	 */
+	const readFile = function (url) {
+		if (HEADLESS_BACKEND !== null && HEADLESS_BACKEND.readFile) {
+			return new Promise(resolve => resolve(HEADLESS_BACKEND.readFile(url))).then(d => new Uint8Array(d));
+		}
+		return fetch(url).then((res) => {
+			if (!res.ok) throw new Error(`CROQUJS::preload: ファイルを読み込めませんでした（${url}）。`);
+			return res.arrayBuffer();
+		}).then(buf => new Uint8Array(buf));
+	};
+
+	/**
+	 * 音声データをオーディオ・バッファーにする（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Uint8Array} data データ
+	 * @return {Promise<AudioBuffer>} オーディオ・バッファーを返すプロミス
+	 */
+	const decodeAudio = function (data) {
+		const AC = (typeof window === 'undefined') ? undefined : (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+		if (AC === undefined) return Promise.reject(new Error('CROQUJS::preload: 音声を読み込めません。'));
+		// 音を鳴らさないコンテキストを使うので、ユーザーの操作が無くても読み込める
+		const buf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+		return new AC(1, 1, 44100).decodeAudioData(buf);
+	};
+
+	/**
+	 * 素材を読み込む進み具合をかく（ライブラリ内だけで使用）
+	 * @private
+	 */
+	const drawPreloadProgress = function () {
+		const st = PRELOAD_STATE;
+		if (isHeadless()) return;
+		if (st.papers.length === 0 && st.canvas === null) {
+			st.canvas = document.createElement('canvas');
+			st.canvas.width = 200;
+			st.canvas.height = 12;
+			document.body.appendChild(st.canvas);
+		}
+		const r = (st.total === 0) ? 1 : (st.loaded / st.total);
+		if (st.canvas !== null) drawProgressBar(st.canvas.getContext('2d'), 0, 0, st.canvas.width, st.canvas.height, r);
+		for (const p of st.papers) {
+			const w = p.width() * 0.6, h = 12;
+			drawProgressBar(p, (p.width() - w) / 2, (p.height() - h) / 2, w, h, r);
+		}
+	};
+
+	/**
+	 * 素材を読み込み終わったので、進み具合の表示を片付ける（ライブラリ内だけで使用）
+	 * @private
+	 */
+	const finishPreloadProgress = function () {
+		const st = PRELOAD_STATE;
+		if (st.canvas !== null && st.canvas.parentNode) st.canvas.parentNode.removeChild(st.canvas);
+		for (const p of st.papers) p.clear();
+		st.canvas = null;
+		st.papers.length = 0;
+	};
+
+	/**
+	 * 進み具合の棒をかく（ライブラリ内だけで使用）
+	 * @private
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 * @param {number} x 横位置
+	 * @param {number} y たて位置
+	 * @param {number} w 横の大きさ
+	 * @param {number} h たての大きさ
+	 * @param {number} ratio 割合（0～1）
+	 */
+	const drawProgressBar = function (ctx, x, y, w, h, ratio) {
+		ctx.save();
+		ctx.fillStyle = 'white';
+		ctx.fillRect(x, y, w, h);
+		ctx.fillStyle = 'gray';
+		ctx.fillRect(x, y, w * ratio, h);
+		ctx.strokeStyle = 'lightgray';
+		ctx.lineWidth = 1;
+		ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+		ctx.restore();
+	};
+
 
 	// ユーティリティ関数 ------------------------------------------------------
 
@@ -1414,7 +5802,7 @@ const CROQUJS = (function () {
 	 * @return {number} 今のミリ秒
 	 */
 	const now = function () {
-		return window.performance.now();
+		return performance.now();
 	};
 
 	/**
@@ -1437,6 +5825,7 @@ const CROQUJS = (function () {
 		rm.forEach((e) => {
 			if (CANVAS_TO_PAPER[e]) {
 				CANVAS_TO_PAPER[e]._mouseEventHandler.removeWinListener();
+				CANVAS_TO_PAPER[e]._statsMonitor.remove();
 			}
 			document.body.removeChild(e);
 		});
@@ -1489,6 +5878,6 @@ const CROQUJS = (function () {
 	// ライブラリを作る --------------------------------------------------------
 
 
-	return { Paper, now, removeAll, currentPaper, loadScript, loadScriptSync };
+	return { Paper, now, removeAll, currentPaper, loadScript, loadScriptSync, headless, isHeadless, gamepadSource, compareImages, loadImagePaper, preload, isPreloading, asset, assets, loadFile };
 
 }());
\ No newline at end of file
@@ -4,7 +4,7 @@
  * 音を鳴らすための部品を作るライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-05-21
+ * @version 2026-10-19
  */
 
 
@@ -440,7 +440,7 @@ const PATCH = (function () {
 	/**
 	 * バッファー・ソース・パッチ
 	 * @extends {SourcePatch}
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class BufferSourcePatch extends SourcePatch {
 
@@ -452,9 +452,9 @@ const PATCH = (function () {
 		 */
 		constructor(synth, params = {}) {
 			super(synth);
-			const { url = null, loop = false, start = 0, end = 0, detune = 0, playbackRate = 1, gain = 1 } = params;
+			const { url = null, buffer = null, loop = false, start = 0, end = 0, detune = 0, playbackRate = 1, gain = 1 } = params;
 
-			this._buffer = null;
+			this._buffer = buffer;  // CROQUJS.preloadなどで読み込んだオーディオ・バッファー
 			if (url) this.loadFile(url);
 
 			this._loop         = loop;
@@ -484,6 +484,17 @@ const PATCH = (function () {
 			}
 		}
 
+		/**
+		 * オーディオ・バッファー
+		 * @param {AudioBuffer=} val オーディオ・バッファー（CROQUJS.preloadやonFileDropで読み込んだもの）
+		 * @return {AudioBuffer|BufferSourcePatch} オーディオ・バッファー／このパッチ
+		 */
+		buffer(val) {
+			if (val === undefined) return this._buffer;
+			this._buffer = val;
+			return this;
+		}
+
 		/**
 		 * オーディオ・ノードを実際に作る（ライブラリ内だけで使用）
 		 * @private
@@ -4,7 +4,7 @@
  * 絵をかくときの線やぬりのスタイルを簡単に設定することができるようにするためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2020-04-21
+ * @version 2026-10-19
  */
 
 
@@ -18,7 +18,7 @@ const STYLE = (function () {
 
 	/**
 	 * スタイル・ベース（ストローク・フィル共通）
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class StyleBase {
 
@@ -388,15 +388,15 @@ const STYLE = (function () {
 			if (type === 'vertical') {
 				if (bs && (bs.left == null || bs.top == null || bs.right == null || bs.bottom == null)) throw new Error(ERROR_STR);
 				if (bs) return [bs.left, bs.top, bs.left, bs.bottom];
-				else return [0, 0, 0, ctx.canvas.height];
+				else return [0, 0, 0, canvasSize(ctx)[1]];
 			} else if (type === 'horizontal') {
 				if (bs && (bs.left == null || bs.top == null || bs.right == null || bs.bottom == null)) throw new Error(ERROR_STR);
 				if (bs) return [bs.left, bs.top, bs.right, bs.top];
-				else return [0, 0, ctx.canvas.width, 0];
+				else return [0, 0, canvasSize(ctx)[0], 0];
 			} else {  // type === 'vector'
 				if (bs && (bs.fromX == null || bs.fromY == null || bs.toX == null || bs.toY == null)) throw new Error(ERROR_STR);
 				if (bs) return [bs.fromX, bs.fromY, bs.toX, bs.toY];
-				else return [0, 0, ctx.canvas.width, ctx.canvas.height];
+				else return [0, 0, ...canvasSize(ctx)];
 			}
 		}
 
@@ -411,7 +411,7 @@ const STYLE = (function () {
 		 */
 		_makeRadialGradParams(ctx, type, bs, opt) {
 			const SQRT2 = 1.41421356237;
-			const cw = ctx.canvas.width, ch = ctx.canvas.height;
+			const [cw, ch] = canvasSize(ctx);
 			const bb = bs ? bs : { left: 0, top: 0, right: cw, bottom: ch, fromX: 0, fromY: 0, toX: cw, toY: ch };
 			const _f = (x0, y0, x1, y1) => {
 				return { w: Math.abs(x0 - x1), h: Math.abs(y0 - y1), cx: (x0 + x1) / 2, cy: (y0 + y1) / 2 };
@@ -762,6 +762,17 @@ const STYLE = (function () {
 	};
 
 
+	/**
+	 * 紙の大きさを求める（紙ならピクセル比を考えた大きさ）
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 * @return {number[]} 横とたての大きさ
+	 */
+	const canvasSize = (ctx) => {
+		if (typeof ctx.width === 'function') return [ctx.width(), ctx.height()];
+		return [ctx.canvas.width, ctx.canvas.height];
+	};
+
+
 	/**
 	 * 色テーブル
 	 * @author Takuto Yanagida
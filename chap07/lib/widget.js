@@ -4,7 +4,7 @@
  * 様々なウィジェット（コントロール）を使えるようにするライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-05-11
+ * @version 2026-10-19
  */
 
 
@@ -598,6 +598,73 @@ const WIDGET = (function () {
 	}
 
 
+	/**
+	 * ファイルを開くボタン（ファイルのドロップができない時の代わり）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class FileOpener extends Widget {
+
+		/**
+		 * ファイルを開くボタンを作る
+		 * @constructor
+		 * @param {string=} [label='ファイルを開く'] ボタンの名前
+		 * @param {object} [opts={}] オプション
+		 * @param {string=} [opts.accept=''] 選べるファイルの種類（'image/*,audio/*'など）
+		 * @param {boolean=} [opts.multiple=false] 複数のファイルを選べる？
+		 */
+		constructor(label = 'ファイルを開く', opts = {}) {
+			if (typeof CROQUJS === 'undefined') throw new Error('Croqujsライブラリが必要です。');
+			const { accept = '', multiple = false } = opts;
+			super();
+			this._base.classList.add('lavjs-widget-button-row');
+
+			this._input = document.createElement('input');
+			this._input.type = 'file';
+			this._input.accept = accept;
+			this._input.multiple = multiple;
+			this._input.style.display = 'none';
+			this._input.addEventListener('change', this._handleChangeEvent.bind(this));
+			this._base.appendChild(this._input);
+
+			const b = document.createElement('a');
+			b.className = 'lavjs-widget lavjs-widget-button';
+			b.innerText = '' + label;
+			b.addEventListener('click', (e) => {
+				if (e.button === 0) this._input.click();
+			});
+			this._base.appendChild(b);
+		}
+
+		/**
+		 * ファイルが選ばれたイベントに対応する（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_handleChangeEvent() {
+			for (const f of this._input.files) {
+				// 読み込みのエラーも、関数の中で起きたエラーも表示する
+				CROQUJS.loadFile(f).then((r) => {
+					if (this._onOpen) this._onOpen(r.data, r.type, f);
+				}).catch(err => console.error(err));
+			}
+			this._input.value = '';  // 同じファイルをもう一度選べるようにする
+		}
+
+		/**
+		 * ファイルを開いた時に呼ばれる関数
+		 * 画像は紙に、音声はオーディオ・バッファー（BufferSourcePatchのbufferに使える）に、JSONとテキストは値にして渡します。
+		 * @param {function(*, string, File):void} handler 関数（読み込んだもの、種類、ファイルを受け取る）
+		 * @return {function(*, string, File):void|FileOpener} 関数／このボタン
+		 */
+		onOpen(handler) {
+			if (handler === undefined) return this._onOpen;
+			this._onOpen = handler;
+			return this;
+		}
+
+	}
+
+
 	/**
 	 * 行出力
 	 * @author Takuto Yanagida
@@ -1541,6 +1608,6 @@ const WIDGET = (function () {
 	// ライブラリを作る --------------------------------------------------------
 
 
-	return { Widget, Chat, Switch, Toggle, Output, Chart, Slider, Thermometer };
+	return { Widget, Chat, Switch, Toggle, FileOpener, Output, Chart, Slider, Thermometer };
 
 }());
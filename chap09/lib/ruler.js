@@ -2,7 +2,7 @@
  * 定規ライブラリ（RULER）
  *
  * @author Takuto Yanagida
- * @version 2021-02-04
+ * @version 2026-10-19
  */
 
 
@@ -47,9 +47,101 @@ const RULER = (function () {
 	};
 
 
+	// 文字の配置で使用するユーティリティ --------------------------------------
+
+
+	const KINSOKU_HEAD    = '、。，．,.:;!?！？)）」』】〉》]］}｝ゝゞーぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ…‥';  // 行の最初に来てはいけない文字
+	const KINSOKU_TAIL    = '(（「『【〈《[［{｛';  // 行の最後に来てはいけない文字
+	const VERTICAL_ROTATE = 'ー－～〜…‥―—–-=＝()（）「」『』【】〈〉《》[]［］{}｛｝<>＜＞';  // 縦書きで横に倒す文字
+	const VERTICAL_SHIFT  = '、。，．';  // 縦書きで右上に寄せる文字
+	const RUBY_SCALE      = 0.5;
+
+	/**
+	 * 全角の文字（縦書きで立てる文字）か？
+	 * @param {string} c 文字
+	 * @return {boolean} 全角の文字か
+	 */
+	const isWide = function (c) {
+		return /[\u2E80-\u9FFF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/u.test(c) && !VERTICAL_ROTATE.includes(c);
+	};
+
+	/**
+	 * フォントの指定から文字の大きさを求める
+	 * @param {string} font フォントの指定
+	 * @return {number} 文字の大きさ[px]
+	 */
+	const fontSize = function (font) {
+		const m = font.match(/(\d*\.?\d+)(px|pt)/);
+		if (!m) return 10;
+		return parseFloat(m[1]) * (m[2] === 'pt' ? 4 / 3 : 1);
+	};
+
+	/**
+	 * フォントの指定の文字の大きさを変える
+	 * @param {string} font フォントの指定
+	 * @param {number} scale 倍率
+	 * @return {string} フォントの指定
+	 */
+	const scaleFont = function (font, scale) {
+		return font.replace(/(\d*\.?\d+)(px|pt)/, (m, v, u) => `${parseFloat(v) * scale}${u}`);
+	};
+
+	/**
+	 * 文字列を、ふりがなの付いた部分とそれ以外に分ける
+	 * ふりがなは「漢字《かんじ》」か「｜文字列《もじれつ》」の形で書きます。
+	 * @param {string} str 文字列
+	 * @param {boolean} isRuby ふりがなを使うか
+	 * @return {object[]} 部分（{ text, ruby }）の配列
+	 */
+	const splitRuby = function (str, isRuby) {
+		if (!isRuby) return [{ text: str, ruby: null }];
+		const ps = [];
+		const re = /(?:[｜|]([^｜|《]+)|([\u4E00-\u9FFF\u3400-\u4DBF々〆ヵヶ]+))《([^》]+)》/gu;
+		let last = 0, m;
+		while ((m = re.exec(str)) !== null) {
+			if (last < m.index) ps.push({ text: str.slice(last, m.index), ruby: null });
+			ps.push({ text: m[1] || m[2], ruby: m[3] });
+			last = re.lastIndex;
+		}
+		if (last < str.length) ps.push({ text: str.slice(last), ruby: null });
+		return ps;
+	};
+
+	/**
+	 * 部分を、行を分けられる単位（ユニット）に分ける
+	 * @param {object[]} parts 部分（{ text, ruby }）の配列
+	 * @param {string} wrap 折り返し方（'word'なら単語ごと、'char'なら文字ごと）
+	 * @return {object[][]} ユニット（部分の配列）の配列
+	 */
+	const makeUnits = function (parts, wrap) {
+		const us = [];
+		for (const p of parts) {
+			if (p.ruby !== null) {
+				us.push([p]);
+				continue;
+			}
+			const ts = (wrap === 'char') ? Array.from(p.text) : (p.text.match(/[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+\s*|\s+|[\s\S]/gu) || []);
+			for (const t of ts) us.push([{ text: t, ruby: null }]);
+		}
+		// 禁則処理（行の最初や最後に来てはいけない文字を、前後のユニットにつなげる）
+		const rs = [];
+		for (const u of us) {
+			const prev = rs[rs.length - 1];
+			const isHead = u[0].ruby === null && KINSOKU_HEAD.includes(u[0].text[0]);
+			const isTail = prev && prev[prev.length - 1].ruby === null && KINSOKU_TAIL.includes(prev[prev.length - 1].text.slice(-1));
+			if (prev && (isHead || isTail)) {
+				prev.push(...u);
+			} else {
+				rs.push(u.concat());
+			}
+		}
+		return rs;
+	};
+
+
 	/**
 	 * 定規
-	 * @version 2021-05-21
+	 * @version 2026-10-19
 	 */
 	class Ruler {
 
@@ -98,6 +190,7 @@ const RULER = (function () {
 			this._stroke = new STYLE.Stroke();
 			this._fill = new STYLE.Fill();
 			this._edge = null;
+			this._font = null;
 		}
 
 		/**
@@ -151,6 +244,7 @@ const RULER = (function () {
 				new STYLE.Stroke(this._stroke),
 				new STYLE.Fill(this._fill),
 				this._liner.edge(),
+				this._font,
 			];
 		}
 
@@ -167,6 +261,7 @@ const RULER = (function () {
 			this._stroke = t[7];
 			this._fill = t[8];
 			this._liner.edge(t[9]);
+			this._font = t[10];
 		}
 
 
@@ -206,6 +301,17 @@ const RULER = (function () {
 			return this;
 		}
 
+		/**
+		 * フォント
+		 * @param {string=} font フォントの指定（'16px sans-serif'など、nullなら紙のフォントを使う）
+		 * @return {string|Ruler} フォントの指定／この定規
+		 */
+		font(font) {
+			if (font === undefined) return this._font;
+			this._font = font;
+			return this;
+		}
+
 
 		// 紙操作 ------------------------------------------------------------------
 
@@ -469,6 +575,187 @@ const RULER = (function () {
 			return this;
 		}
 
+
+		// 文字の描画 --------------------------------------------------------------
+
+
+		/**
+		 * 文字をかく（ぬりスタイルを使う）
+		 * @param {string} str 文字列（改行で行を分ける）
+		 * @param {number} x x座標（横書きは左端、縦書きは右端）
+		 * @param {number} y y座標（上端）
+		 * @param {object=} [opt={}] オプション
+		 * @param {number=} opt.width 行の長さ（これを超えると折り返す。縦書きの時はたての長さ）
+		 * @param {string=} [opt.align='left'] そろえ方（'left'、'center'、'right'。縦書きの時は上、真ん中、下）
+		 * @param {number=} [opt.lineHeight=1.5] 行の高さ（文字の大きさの何倍か）
+		 * @param {boolean=} [opt.vertical=false] 縦書きか
+		 * @param {boolean=} [opt.ruby=false] ふりがな（「漢字《かんじ》」、「｜文字列《もじれつ》」の形）を使うか
+		 * @param {string=} [opt.wrap='word'] 折り返し方（'word'なら単語ごと、'char'なら文字ごと）
+		 * @return {Ruler} この定規
+		 */
+		text(str, x, y, opt = {}) {
+			const ctx = this._ctx;
+			ctx.save();
+			if (this._font !== null) ctx.font = this._font;
+			const lay = this._layoutText(str, x, y, opt);
+			const b = lay.box;
+			this._fill.assign(ctx, { fromX: b.left, fromY: b.top, toX: b.left + b.width, toY: b.top + b.height, left: b.left, top: b.top, right: b.left + b.width, bottom: b.top + b.height });
+			ctx.textAlign = 'center';
+			ctx.textBaseline = 'middle';
+
+			const fs = lay.fontSize, rs = fs * RUBY_SCALE;
+			const font = ctx.font, rubyFont = scaleFont(font, RUBY_SCALE);
+			for (const l of lay.lines) {
+				let p = l.start;
+				for (const u of l.units) {
+					for (const pt of u.parts) {
+						if (lay.isVertical) {
+							this._drawVerticalText(pt.text, l.center, p + (pt.adv - pt.baseAdv) / 2, fs);
+							if (pt.ruby !== null) {
+								ctx.font = rubyFont;
+								this._drawVerticalText(pt.ruby, l.center + (fs + rs) / 2, p + (pt.adv - pt.rubyAdv) / 2, rs);
+								ctx.font = font;
+							}
+						} else {
+							ctx.fillText(pt.text, p + pt.adv / 2, l.center);
+							if (pt.ruby !== null) {
+								ctx.font = rubyFont;
+								ctx.fillText(pt.ruby, p + pt.adv / 2, l.center - (fs + rs) / 2);
+								ctx.font = font;
+							}
+						}
+						p += pt.adv;
+					}
+				}
+			}
+			ctx.restore();
+			return this;
+		}
+
+		/**
+		 * 文字をかいた時の大きさを求める（かかない）
+		 * @param {string} str 文字列
+		 * @param {number=} [x=0] x座標
+		 * @param {number=} [y=0] y座標
+		 * @param {object=} [opt={}] オプション（textと同じ）
+		 * @return {object} 大きさ（left, top, width, height）と、行の文字列の配列（lines）
+		 */
+		measureText(str, x = 0, y = 0, opt = {}) {
+			const ctx = this._ctx;
+			ctx.save();
+			if (this._font !== null) ctx.font = this._font;
+			const lay = this._layoutText(str, x, y, opt);
+			ctx.restore();
+			const lines = lay.lines.map(l => l.units.map(u => u.parts.map(p => p.text).join('')).join(''));
+			return Object.assign({ lines }, lay.box);
+		}
+
+		/**
+		 * 文字を行に分けて並べる（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} str 文字列
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {object} opt オプション
+		 * @return {object} 並べ方
+		 */
+		_layoutText(str, x, y, { width = null, align = 'left', lineHeight = 1.5, vertical = false, ruby = false, wrap = 'word' } = {}) {
+			const ctx = this._ctx;
+			const fs = fontSize(ctx.font), lh = fs * lineHeight;
+			const font = ctx.font, rubyFont = scaleFont(font, RUBY_SCALE);
+
+			// 文字列の長さ（縦書きの時は、立てる文字は文字の大きさ、倒す文字は文字の幅）
+			const measure = (t, size) => {
+				if (!vertical) return ctx.measureText(t).width;
+				let a = 0;
+				for (const c of t) a += isWide(c) ? size : ctx.measureText(c).width;
+				return a;
+			};
+			const measureUnit = (u) => {
+				let adv = 0;
+				for (const p of u) {
+					p.baseAdv = measure(p.text, fs);
+					p.rubyAdv = 0;
+					if (p.ruby !== null) {
+						ctx.font = rubyFont;
+						p.rubyAdv = measure(p.ruby, fs * RUBY_SCALE);
+						ctx.font = font;
+					}
+					p.adv = Math.max(p.baseAdv, p.rubyAdv);
+					adv += p.adv;
+				}
+				return { parts: u, adv };
+			};
+
+			const lines = [];
+			for (const para of String(str).split('\n')) {
+				let us = makeUnits(splitRuby(para, ruby), wrap).map(measureUnit);
+				// 1行に入らない単語は文字ごとに分ける
+				if (width !== null && wrap === 'word') {
+					us = us.flatMap(u => (width < u.adv && u.parts.length === 1 && u.parts[0].ruby === null) ? makeUnits(u.parts, 'char').map(measureUnit) : [u]);
+				}
+				let cur = { units: [], adv: 0 };
+				for (const u of us) {
+					if (width !== null && cur.units.length && width < cur.adv + u.adv) {
+						lines.push(cur);
+						cur = { units: [], adv: 0 };
+					}
+					cur.units.push(u);
+					cur.adv += u.adv;
+				}
+				lines.push(cur);
+			}
+			for (const l of lines) {  // 行の最後の空白はそろえ方に関係させない
+				const lp = l.units.length ? l.units[l.units.length - 1].parts.slice(-1)[0] : null;
+				if (lp && lp.ruby === null) l.adv -= lp.adv - measure(lp.text.replace(/\s+$/, ''), fs);
+			}
+
+			const maxAdv = Math.max(0, ...lines.map(l => l.adv));
+			const len = (width !== null) ? width : maxAdv;
+			const base = (width !== null) ? 0 : ((align === 'center') ? -maxAdv / 2 : ((align === 'right') ? -maxAdv : 0));
+			const start = (adv) => base + ((align === 'center') ? (len - adv) / 2 : ((align === 'right') ? len - adv : 0));
+			lines.forEach((l, i) => {
+				if (vertical) {
+					l.center = x - i * lh - lh / 2;
+					l.start = y + start(l.adv);
+				} else {
+					l.center = y + i * lh + lh / 2;
+					l.start = x + start(l.adv);
+				}
+			});
+			const box = vertical ?
+				{ left: x - lines.length * lh, top: y + base, width: lines.length * lh, height: len } :
+				{ left: x + base, top: y, width: len, height: lines.length * lh };
+			return { lines, box, fontSize: fs, isVertical: vertical };
+		}
+
+		/**
+		 * 縦書きで文字列をかく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} t 文字列
+		 * @param {number} cx 行の真ん中のx座標
+		 * @param {number} y 上端のy座標
+		 * @param {number} size 文字の大きさ
+		 */
+		_drawVerticalText(t, cx, y, size) {
+			const ctx = this._ctx;
+			for (const c of t) {
+				if (isWide(c)) {
+					const d = VERTICAL_SHIFT.includes(c) ? size * 0.6 : 0;
+					ctx.fillText(c, cx + d, y + size / 2 - d);
+					y += size;
+				} else {
+					const w = ctx.measureText(c).width;
+					ctx.save();
+					ctx.translate(cx, y + w / 2);
+					ctx.rotate(Math.PI / 2);
+					ctx.fillText(c, 0, 0);
+					ctx.restore();
+					y += w;
+				}
+			}
+		}
+
 	}
 
 
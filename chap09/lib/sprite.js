@@ -5,7 +5,7 @@
  * 好きな場所に好きな大きさ、向き、透明度で表示するためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-02-06
+ * @version 2026-10-19
  */
 
 
@@ -582,7 +582,7 @@ const SPRITE = (function () {
 	/**
 	 * ステージ
 	 * @extends {Element}
-	 * @version 2021-07-28
+	 * @version 2026-10-19
 	 */
 	class Stage extends Element {
 
@@ -734,12 +734,22 @@ const SPRITE = (function () {
 		 * @param {number=} deltaTime 時間差（前回のフレームからの時間経過）[ms]
 		 */
 		update(deltaTime = 1) {
+			const paper = (typeof CROQUJS !== 'undefined') ? CROQUJS.currentPaper() : null;
+			const t = paper ? CROQUJS.now() : 0;
 			for (const c of this._children) {
 				// スプライトの_update関数を呼び出す
 				c._update(deltaTime);
 			}
 			this._update(deltaTime);
-			this._checkCollision();
+			const [checks, hits] = this._checkCollision();
+
+			// 紙の性能の測定値に足す
+			if (paper && paper.addStat) {
+				paper.addStat('updateTime', CROQUJS.now() - t);
+				paper.addStat('sprites', this._children.length);
+				paper.addStat('collisionChecks', checks);
+				paper.addStat('collisions', hits);
+			}
 		}
 
 		/**
@@ -772,8 +782,10 @@ const SPRITE = (function () {
 		/**
 		 * 持っているスプライトが衝突しているかどうかをチェックする（ライブラリ内だけで使用）
 		 * @private
+		 * @return {number[]} 調べた組の数と、衝突していた組の数
 		 */
 		_checkCollision() {
+			let checks = 0, hits = 0;
 			for (let i = 0; i < this._children.length; i += 1) {
 				const c0 = this._children[i];
 				const r0 = c0._collisionRadius;
@@ -789,12 +801,15 @@ const SPRITE = (function () {
 					const y1 = c1._y;
 					const d2 = (x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0);
 					const e2 = (r0 + r1) * (r0 + r1);
+					checks += 1;
 					if (d2 <= e2) {
+						hits += 1;
 						if (c0._onCollision) c0._onCollision(c0, c1);
 						if (c1._onCollision) c1._onCollision(c1, c0);
 					}
 				}
 			}
+			return [checks, hits];
 		}
 
 		/**
@@ -4,7 +4,7 @@
  * カメを動かして、絵をかくためのライブラリです。
  *
  * @author Takuto Yanagida
- * @version 2021-10-10
+ * @version 2026-10-19
  */
 
 
@@ -64,10 +64,305 @@ const TURTLE = (function () {
 		return [x * c - y * s, x * s + y * c];
 	}
 
+	/**
+	 * 命令を呼び出したソースの場所を求める（スタック・トレースから、ライブラリの外の最初の場所を探す）
+	 * @return {object} 場所（file、line、column）
+	 */
+	const callerSource = function () {
+		const st = new Error().stack || '';
+		for (const l of st.split('\n').slice(1)) {
+			const m = /([^\s()@]+):(\d+):(\d+)\)?$/.exec(l.trim());
+			if (m === null || /turtle\.js$/.test(m[1])) continue;
+			return { file: m[1], line: Number(m[2]), column: Number(m[3]) };
+		}
+		return { file: null, line: null, column: null };
+	};
+
+	/**
+	 * 命令を表示用の文字列にする
+	 * @param {object=} e 命令
+	 * @return {string} 文字列
+	 */
+	const formatCommand = function (e) {
+		if (!e) return '';
+		const as = e.args.map(a => (typeof a === 'number') ? String(Math.round(a * 100) / 100) : JSON.stringify(a));
+		return `${e.name}(${as.join(', ')})`;
+	};
+
+
+	// 3Dタートルで使うユーティリティ ------------------------------------------
+
+
+	// 透視投影で線を切る、カメラからの最小の距離
+	const TURTLE3D_NEAR = 1;
+
+	/**
+	 * ベクトルの内積を求める
+	 * @param {number[]} a ベクトル
+	 * @param {number[]} b ベクトル
+	 * @return {number} 内積
+	 */
+	const dotVec = function (a, b) {
+		return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+	};
+
+	/**
+	 * ベクトルの外積を求める
+	 * @param {number[]} a ベクトル
+	 * @param {number[]} b ベクトル
+	 * @return {number[]} 外積
+	 */
+	const crossVec = function (a, b) {
+		return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+	};
+
+	/**
+	 * ベクトルの長さを1にする
+	 * @param {number[]} a ベクトル
+	 * @return {number[]} ベクトル
+	 */
+	const normalizeVec = function (a) {
+		const l = Math.sqrt(dotVec(a, a));
+		return [a[0] / l, a[1] / l, a[2] / l];
+	};
+
+	/**
+	 * 2つのベクトルの間の点を求める
+	 * @param {number[]} a ベクトル
+	 * @param {number[]} b ベクトル
+	 * @param {number} t 割合
+	 * @return {number[]} ベクトル
+	 */
+	const lerpVec = function (a, b, t) {
+		return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+	};
+
+	/**
+	 * 直交する2つの軸を、その2つが作る面の中で回す（aからbの向きが正）
+	 * @param {number[]} a 軸
+	 * @param {number[]} b 軸
+	 * @param {number} deg 角度
+	 * @return {number[][]} 回した2つの軸
+	 */
+	const rotateAxes = function (a, b, deg) {
+		const r = rad(deg), c = Math.cos(r), s = Math.sin(r);
+		return [
+			[a[0] * c + b[0] * s, a[1] * c + b[1] * s, a[2] * c + b[2] * s],
+			[b[0] * c - a[0] * s, b[1] * c - a[1] * s, b[2] * c - a[2] * s],
+		];
+	};
+
+
+	// パスの書き出しに使うユーティリティ --------------------------------------
+
+
+	/**
+	 * 紙の大きさを求める
+	 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+	 * @return {number[]} 横幅とたて幅
+	 */
+	const paperSize = function (ctx) {
+		if (typeof ctx.width === 'function') return [ctx.width(), ctx.height()];
+		return ctx.canvas ? [ctx.canvas.width, ctx.canvas.height] : [0, 0];
+	};
+
+	/**
+	 * スタイルの色を求める
+	 * @param {Stroke|Fill} style 線スタイル／ぬりスタイル
+	 * @return {string} 色（グラデーションなら元の色）
+	 */
+	const styleColor = function (style) {
+		if (typeof style._style === 'string') return style._style;
+		return (typeof style._color === 'string') ? style._color : 'black';
+	};
+
+	/**
+	 * 数を決まった桁数の文字列にする
+	 * @param {number} v 数
+	 * @param {number} digits 小数点以下の桁数
+	 * @return {string} 文字列
+	 */
+	const formatNum = function (v, digits) {
+		return String(Number(v.toFixed(digits)));
+	};
+
+	/**
+	 * 楕円の弧を3次ベジェ曲線にする（キャンバスのellipseと同じ向きと範囲）
+	 * @param {number} cx 中心のx座標
+	 * @param {number} cy 中心のy座標
+	 * @param {number} w 横半径
+	 * @param {number} h たて半径
+	 * @param {number} dr 方向（ラジアン）
+	 * @param {number} r0 開始角度（ラジアン）
+	 * @param {number} r1 終了角度（ラジアン）
+	 * @param {boolean} ac 反時計回り？
+	 * @return {object} 始点（x、y）と曲線（curves：[x1, y1, x2, y2, x3, y3]の配列）
+	 */
+	const arcToBeziers = function (cx, cy, w, h, dr, r0, r1, ac) {
+		const PI2 = Math.PI * 2;
+		let sweep = r1 - r0;
+		if (!ac) {
+			if (PI2 <= sweep) sweep = PI2;
+			else if ((sweep %= PI2) < 0) sweep += PI2;
+		} else {
+			if (sweep <= -PI2) sweep = -PI2;
+			else if (0 < (sweep %= PI2)) sweep -= PI2;
+		}
+		const sin = Math.sin(dr), cos = Math.cos(dr);
+		const pt = (u, v) => [cx + w * u * cos - h * v * sin, cy + w * u * sin + h * v * cos];
+
+		const n = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+		const a = sweep / n, k = 4 / 3 * Math.tan(a / 4);
+		const curves = [];
+		for (let i = 0; i < n; i += 1) {
+			const t0 = r0 + a * i, t1 = t0 + a;
+			const c0 = Math.cos(t0), s0 = Math.sin(t0), c1 = Math.cos(t1), s1 = Math.sin(t1);
+			curves.push([...pt(c0 - k * s0, s0 + k * c0), ...pt(c1 + k * s1, s1 - k * c1), ...pt(c1, s1)]);
+		}
+		const [x, y] = pt(Math.cos(r0), Math.sin(r0));
+		return { x, y, curves };
+	};
+
+	/**
+	 * パスの終点を求める
+	 * @param {object} p パス
+	 * @return {number[]} 終点（閉じたパスなら始点）
+	 */
+	const endPointOf = function (p) {
+		if (p.closed || p.segs.length === 0) return [p.x, p.y];
+		const s = p.segs[p.segs.length - 1];
+		return [s[s.length - 2], s[s.length - 1]];
+	};
+
+	/**
+	 * パスの向きを逆にする
+	 * @param {object} p パス
+	 * @return {object} 逆向きのパス
+	 */
+	const reversePath = function (p) {
+		const starts = [];
+		let x = p.x, y = p.y;
+		for (const s of p.segs) {
+			starts.push([x, y]);
+			[x, y] = s.slice(-2);
+		}
+		const segs = [];
+		for (let i = p.segs.length - 1; 0 <= i; i -= 1) {
+			const s = p.segs[i], [sx, sy] = starts[i];
+			switch (s[0]) {
+				case 'L': segs.push(['L', sx, sy]); break;
+				case 'Q': segs.push(['Q', s[1], s[2], sx, sy]); break;
+				case 'C': segs.push(['C', s[3], s[4], s[1], s[2], sx, sy]); break;
+			}
+		}
+		return Object.assign({}, p, { x, y, segs });
+	};
+
+	/**
+	 * ペンを上げて移動する距離が短くなるようにパスを並べ替える（線の色ごとにまとめる）
+	 * @param {object[]} paths パスの配列
+	 * @return {object[]} 並べ替えたパスの配列
+	 */
+	const orderPaths = function (paths) {
+		const groups = new Map();
+		for (const p of paths) {
+			if (!groups.has(p.stroke)) groups.set(p.stroke, []);
+			groups.get(p.stroke).push(p);
+		}
+		const ret = [];
+		let x = 0, y = 0;
+		for (const rest of groups.values()) {
+			while (rest.length) {
+				let idx = 0, min = Infinity, rev = false;
+				for (let i = 0; i < rest.length; i += 1) {
+					const p = rest[i], [ex, ey] = endPointOf(p);
+					const d0 = (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
+					const d1 = (ex - x) * (ex - x) + (ey - y) * (ey - y);
+					if (d0 < min) [idx, min, rev] = [i, d0, false];
+					if (d1 < min) [idx, min, rev] = [i, d1, true];
+				}
+				const p = rest.splice(idx, 1)[0];
+				const q = rev ? reversePath(p) : p;
+				ret.push(q);
+				[x, y] = endPointOf(q);
+			}
+		}
+		return ret;
+	};
+
+	/**
+	 * パスを折れ線にする
+	 * @param {object} p パス
+	 * @param {number} tolerance 許容誤差
+	 * @return {number[][]} 点の配列
+	 */
+	const flattenPath = function (p, tolerance) {
+		const divNum = dev => Math.max(1, Math.ceil(Math.sqrt(dev / tolerance)));
+		const ps = [[p.x, p.y]];
+		let x0 = p.x, y0 = p.y;
+		for (const s of p.segs) {
+			if (s[0] === 'Q') {
+				const [, x1, y1, x2, y2] = s;
+				const n = divNum(Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2) / 4);
+				for (let i = 1; i < n; i += 1) {
+					const t = i / n, u = 1 - t;
+					ps.push([u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2]);
+				}
+			} else if (s[0] === 'C') {
+				const [, x1, y1, x2, y2, x3, y3] = s;
+				const n = divNum(0.75 * Math.max(Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2), Math.hypot(x1 - 2 * x2 + x3, y1 - 2 * y2 + y3)));
+				for (let i = 1; i < n; i += 1) {
+					const t = i / n, u = 1 - t;
+					const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+					ps.push([a * x0 + b * x1 + c * x2 + d * x3, a * y0 + b * y1 + c * y2 + d * y3]);
+				}
+			}
+			[x0, y0] = s.slice(-2);
+			ps.push([x0, y0]);
+		}
+		if (p.closed) {
+			// 終点がすでに始点にある時は、同じ点を重ねずに始点にそろえる
+			const [xl, yl] = ps[ps.length - 1];
+			if (1 < ps.length && (xl - p.x) * (xl - p.x) + (yl - p.y) * (yl - p.y) < 0.01) {
+				ps[ps.length - 1] = [p.x, p.y];
+			} else {
+				ps.push([p.x, p.y]);
+			}
+		}
+		return ps;
+	};
+
+	/**
+	 * 点をプロッターの座標にする
+	 * @param {number[][]} ps 点の配列
+	 * @param {number} scale 拡大率
+	 * @param {number?} height たて方向を反転するときの紙のたて幅
+	 * @return {number[][]} 点の配列
+	 */
+	const plotterPoints = function (ps, scale, height) {
+		return ps.map(([x, y]) => [x * scale, ((height === null) ? y : height - y) * scale]);
+	};
+
+	/**
+	 * パスをSVGのパス・データにする
+	 * @param {object} p パス
+	 * @param {number} digits 小数点以下の桁数
+	 * @return {string} パス・データ
+	 */
+	const svgPathData = function (p, digits) {
+		const ds = [`M${formatNum(p.x, digits)} ${formatNum(p.y, digits)}`];
+		for (const s of p.segs) {
+			ds.push(s[0] + s.slice(1).map(v => formatNum(v, digits)).join(' '));
+		}
+		if (p.closed) ds.push('Z');
+		return ds.join(' ');
+	};
+
 
 	/**
 	 * タートル・ベース
-	 * @version 2021-05-21
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
 	 */
 	class TurtleBase {
 
@@ -95,19 +390,31 @@ const TURTLE = (function () {
 
 			this._liner = new PATH.Liner({
 				lineOrMoveTo: (x, y, dir) => {
-					if (this._pen) this._ctx.lineTo(x, y);
+					if (this._pen) {
+						this._ctx.lineTo(x, y);
+						this._recordSegment('L', x, y);
+					}
 					this._changePos(x, y, dir + 90);
 				},
 				quadCurveOrMoveTo: (x1, y1, x2, y2, dir) => {
-					if (this._pen) this._ctx.quadraticCurveTo(x1, y1, x2, y2);
+					if (this._pen) {
+						this._ctx.quadraticCurveTo(x1, y1, x2, y2);
+						this._recordSegment('Q', x1, y1, x2, y2);
+					}
 					this._changePos(x2, y2, dir + 90);
 				},
 				bezierCurveOrMoveTo: (x1, y1, x2, y2, x3, y3, dir) => {
-					if (this._pen) this._ctx.bezierCurveTo(x1, y1, x2, y2, x3, y3);
+					if (this._pen) {
+						this._ctx.bezierCurveTo(x1, y1, x2, y2, x3, y3);
+						this._recordSegment('C', x1, y1, x2, y2, x3, y3);
+					}
 					this._changePos(x3, y3, dir + 90);
 				},
 				arcOrMoveTo: (cx, cy, dr, w, h, r0, r1, ac, dir, xx, yy) => {
-					if (this._pen) PATH.eclipse(this._ctx, cx, cy, w, h, dr, r0, r1, ac);
+					if (this._pen) {
+						PATH.eclipse(this._ctx, cx, cy, w, h, dr, r0, r1, ac);
+						this._recordArc(cx, cy, w, h, dr, r0, r1, ac);
+					}
 					this._changePos(xx, yy, dir + 90);
 				}
 			}, normalDeg ? rad(normalDeg) : undefined);
@@ -120,6 +427,10 @@ const TURTLE = (function () {
 			this._pen = false;
 
 			this._isClippable = true;
+
+			this._isRecording = false;
+			this._record      = [];
+			this._recPath     = null;
 		}
 
 		/**
@@ -630,7 +941,10 @@ const TURTLE = (function () {
 				this._area.left = this._x - r, this._area.top = this._y - r;
 				this._area.right = this._x + r, this._area.bottom = this._y + r;
 
-				if (this._pen) this._ctx.arc(this._x, this._y, r, 0, 2 * Math.PI, false);
+				if (this._pen) {
+					this._ctx.arc(this._x, this._y, r, 0, 2 * Math.PI, false);
+					this._recordArc(this._x, this._y, r, r, 0, 0, 2 * Math.PI, false);
+				}
 				return r;
 			});
 			return this;
@@ -700,7 +1014,8 @@ const TURTLE = (function () {
 		 * @param {number=} [scale=1] スケール
 		 */
 		image(image, cx, cy, scale = 1) {
-			const img = (image instanceof CROQUJS.Paper || image instanceof CanvasRenderingContext2D) ? image.canvas : image;
+			const isCtx = (typeof CanvasRenderingContext2D !== 'undefined' && image instanceof CanvasRenderingContext2D);
+			const img = (image instanceof CROQUJS.Paper || isCtx) ? image.canvas : image;
 			this._ctx.save();
 			this.localize();
 			this._ctx.drawImage(img, -cx * scale, -cy * scale, img.width * scale, img.height * scale);
@@ -742,11 +1057,13 @@ const TURTLE = (function () {
 				this._area.fromY = this._area.top = this._area.bottom = this._y;
 				this._area.sqLen = 0;
 				this._curMode = this._mode.toLowerCase();
+				this._beginRecord();
 			}
 			if (this._pen === true && val === false && !this._isNotDrawn()) {
 				// ペンを下げた場所と同じ場所でペンを上げたら、パスを閉じる（始点と終点をつなげる）
 				if (this._isInPenDownPoint()) this._ctx.closePath();
 				this._drawActually();
+				this._endRecord();
 			}
 			this._pen = val;
 			return this;
@@ -888,12 +1205,239 @@ const TURTLE = (function () {
 			this._ctx.translate(-this._x, -this._y);
 		}
 
+
+		// パスの記録 --------------------------------------------------------------
+
+
+		/**
+		 * パスの記録を始める（それまでの記録は消える）
+		 * ペンを下ろしてから上げるまでにかいた線が、1つのパスとして記録されます。
+		 * @return {TurtleBase} このタートル・ベース
+		 */
+		startRecording() {
+			this._isRecording = true;
+			this._record = [];
+			this._recPath = null;
+			if (this._pen) this._beginRecord();
+			return this;
+		}
+
+		/**
+		 * パスの記録を止める
+		 * @return {TurtleBase} このタートル・ベース
+		 */
+		stopRecording() {
+			if (!this._isRecording) return this;
+			// ペンを下ろしたままなら、そこまでを1つのパスとする
+			if (this._pen && !this._isNotDrawn()) this._endRecord();
+			this._recPath = null;
+			this._isRecording = false;
+			return this;
+		}
+
+		/**
+		 * パスを記録している？
+		 * @return {boolean} パスを記録しているか
+		 */
+		isRecording() {
+			return this._isRecording;
+		}
+
+		/**
+		 * 記録したパス
+		 * 座標は紙の座標（紙の変形を適用したもの）です。
+		 * @return {object[]} パス（x、y：始点、segs：線分と曲線、closed：閉じている？、mode：かくモード、stroke：線の色、lineWidth：線の太さ、fill：ぬりの色）の配列
+		 */
+		recordedPaths() {
+			return this._record.map(p => Object.assign({}, p, { segs: p.segs.map(s => [...s]) }));
+		}
+
+		/**
+		 * 記録したパスをSVGのパス・データにする
+		 * @param {object=} opt オプション
+		 * @param {boolean=} [opt.optimize=false] ペンを上げて移動する距離が短くなるように並べ替えるか
+		 * @param {number=} [opt.digits=2] 小数点以下の桁数
+		 * @return {string} パス・データ（d属性の値）
+		 */
+		toSvgPathData({ optimize = false, digits = 2 } = {}) {
+			return this._exportPaths(optimize).map(p => svgPathData(p, digits)).join(' ');
+		}
+
+		/**
+		 * 記録したパスをSVGにする
+		 * @param {object=} opt オプション
+		 * @param {number=} opt.width 横幅（指定しなければ紙の横幅）
+		 * @param {number=} opt.height たて幅（指定しなければ紙のたて幅）
+		 * @param {boolean=} [opt.optimize=false] ペンを上げて移動する距離が短くなるように並べ替えるか
+		 * @param {number=} [opt.digits=2] 小数点以下の桁数
+		 * @return {string} SVG
+		 */
+		toSvg({ width, height, optimize = false, digits = 2 } = {}) {
+			const [pw, ph] = paperSize(this._ctx);
+			const w = (width === undefined) ? pw : width, h = (height === undefined) ? ph : height;
+			const ls = [`<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}">`];
+			for (const p of this._exportPaths(optimize)) {
+				const fill   = p.mode.includes('fill') ? p.fill : 'none';
+				const stroke = p.mode.includes('stroke') ? `stroke="${p.stroke}" stroke-width="${formatNum(p.lineWidth, digits)}"` : 'stroke="none"';
+				ls.push(`<path d="${svgPathData(p, digits)}" fill="${fill}" ${stroke}/>`);
+			}
+			ls.push('</svg>');
+			return ls.join('\n');
+		}
+
+		/**
+		 * 記録したパスをペン・プロッター用のGコードにする
+		 * 曲線は折れ線にします。線の色が変わるところでペンを替えるために止まります。
+		 * @param {object=} opt オプション
+		 * @param {boolean=} [opt.optimize=true] ペンを上げて移動する距離が短くなるように並べ替えるか
+		 * @param {number=} [opt.tolerance=0.5] 曲線を折れ線にするときの許容誤差
+		 * @param {number=} [opt.scale=1] 拡大率（1ピクセルが何mmか）
+		 * @param {boolean=} [opt.flipY=false] たて方向を反転するか（プロッターの原点が左下のとき）
+		 * @param {number=} [opt.feedRate=1000] ペンを下ろして動く速さ
+		 * @param {string=} [opt.penUp='G0 Z5'] ペンを上げるコマンド
+		 * @param {string=} [opt.penDown='G1 Z0'] ペンを下ろすコマンド
+		 * @param {string=} [opt.penChange='M0'] ペンを替えるために止めるコマンド（空文字なら止めない）
+		 * @param {number=} [opt.digits=3] 小数点以下の桁数
+		 * @return {string} Gコード
+		 */
+		toGCode({ optimize = true, tolerance = 0.5, scale = 1, flipY = false, feedRate = 1000, penUp = 'G0 Z5', penDown = 'G1 Z0', penChange = 'M0', digits = 3 } = {}) {
+			const h = flipY ? paperSize(this._ctx)[1] : null;
+			const ls = ['G21', 'G90', penUp];
+			let color = null;
+			for (const p of this._exportPaths(optimize)) {
+				if (color !== p.stroke) {
+					ls.push(`; pen: ${p.stroke}`);
+					if (color !== null && penChange) ls.push(penChange);
+					color = p.stroke;
+				}
+				const ps = plotterPoints(flattenPath(p, tolerance), scale, h).map(([x, y]) => `X${formatNum(x, digits)} Y${formatNum(y, digits)}`);
+				ls.push(`G0 ${ps[0]}`, penDown, `G1 ${ps[1]} F${feedRate}`);
+				for (let i = 2; i < ps.length; i += 1) ls.push(`G1 ${ps[i]}`);
+				ls.push(penUp);
+			}
+			ls.push('G0 X0 Y0');
+			return ls.join('\n');
+		}
+
+		/**
+		 * 記録したパスをペン・プロッター用のHPGLにする
+		 * 曲線は折れ線にします。線の色ごとに別のペン（SP1、SP2、…）を使います。
+		 * @param {object=} opt オプション
+		 * @param {boolean=} [opt.optimize=true] ペンを上げて移動する距離が短くなるように並べ替えるか
+		 * @param {number=} [opt.tolerance=0.5] 曲線を折れ線にするときの許容誤差
+		 * @param {number=} [opt.scale=1] 拡大率（1ピクセルがプロッターの何単位か）
+		 * @param {boolean=} [opt.flipY=false] たて方向を反転するか（プロッターの原点が左下のとき）
+		 * @return {string} HPGL
+		 */
+		toHpgl({ optimize = true, tolerance = 0.5, scale = 1, flipY = false } = {}) {
+			const h = flipY ? paperSize(this._ctx)[1] : null;
+			const ls = ['IN;'], pens = new Map();
+			let color = null;
+			for (const p of this._exportPaths(optimize)) {
+				if (color !== p.stroke) {
+					if (!pens.has(p.stroke)) pens.set(p.stroke, pens.size + 1);
+					ls.push(`SP${pens.get(p.stroke)};`);
+					color = p.stroke;
+				}
+				const ps = plotterPoints(flattenPath(p, tolerance), scale, h).map(([x, y]) => `${Math.round(x)},${Math.round(y)}`);
+				ls.push(`PU${ps[0]};`, `PD${ps.slice(1).join(',')};`);
+			}
+			ls.push('PU;', 'SP0;');
+			return ls.join('\n');
+		}
+
+		/**
+		 * 書き出すパスを取得する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {boolean} optimize 並べ替えるか
+		 * @return {object[]} パスの配列
+		 */
+		_exportPaths(optimize) {
+			return optimize ? orderPaths(this._record) : this._record;
+		}
+
+		/**
+		 * パスの記録を始める（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_beginRecord() {
+			if (!this._isRecording) return;
+			const [x, y] = this._recordPoint(this._x, this._y);
+			this._recPath = { x, y, segs: [] };
+		}
+
+		/**
+		 * 線分か曲線を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} type 種類（'L'、'Q'、'C'）
+		 * @param {...number} cs 座標
+		 */
+		_recordSegment(type, ...cs) {
+			if (this._recPath === null) return;
+			const seg = [type];
+			for (let i = 0; i < cs.length; i += 2) seg.push(...this._recordPoint(cs[i], cs[i + 1]));
+			this._recPath.segs.push(seg);
+		}
+
+		/**
+		 * 弧を曲線として記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} cx 中心のx座標
+		 * @param {number} cy 中心のy座標
+		 * @param {number} w 横半径
+		 * @param {number} h たて半径
+		 * @param {number} dr 方向（ラジアン）
+		 * @param {number} r0 開始角度（ラジアン）
+		 * @param {number} r1 終了角度（ラジアン）
+		 * @param {boolean} ac 反時計回り？
+		 */
+		_recordArc(cx, cy, w, h, dr, r0, r1, ac) {
+			if (this._recPath === null) return;
+			const { x, y, curves } = arcToBeziers(cx, cy, w, h, dr, r0, r1, ac);
+			// キャンバスと同じく、今の場所から弧の始点までは線分でつなぐ
+			if (1e-9 < Math.abs(this._x - x) || 1e-9 < Math.abs(this._y - y)) this._recordSegment('L', x, y);
+			for (const c of curves) this._recordSegment('C', ...c);
+		}
+
+		/**
+		 * パスの記録を終える（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_endRecord() {
+			const p = this._recPath;
+			this._recPath = null;
+			if (p === null || p.segs.length === 0) return;
+			if (!/stroke|fill/.test(this._curMode)) return;
+
+			const t = this._ctx.getTransform ? this._ctx.getTransform() : null;
+			const s = t ? Math.sqrt(Math.abs(t.a * t.d - t.b * t.c)) : 1;
+			p.closed    = this._isInPenDownPoint();
+			p.mode      = this._curMode;
+			p.stroke    = styleColor(this._stroke);
+			p.lineWidth = this._stroke._width * s;
+			p.fill      = styleColor(this._fill);
+			this._record.push(p);
+		}
+
+		/**
+		 * 座標を紙の座標にする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @return {number[]} 紙の座標
+		 */
+		_recordPoint(x, y) {
+			const t = this._ctx.getTransform ? this._ctx.getTransform() : null;
+			return transform(t, x, y);
+		}
+
 	}
 
 
 	/**
 	 * タートル
-	 * @version 2021-10-10
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
 	 */
 	class Turtle extends TurtleBase {
 
@@ -924,6 +1468,19 @@ const TURTLE = (function () {
 
 			this._onPenChanged = null;
 			this._onMoved      = null;
+
+			this._isLogging  = false;
+			this._logSource  = false;
+			this._log        = [];
+			this._lastLog    = [];
+			this._logCursor  = null;
+			this._logBlocked = false;
+			this._logDepth   = 0;
+			this._logStop    = null;
+			this._lastStop   = null;
+			this._sourceHint = null;
+			this._scrubber   = null;
+			this._isSyncing  = false;
 		}
 
 		/**
@@ -959,7 +1516,7 @@ const TURTLE = (function () {
 		 */
 		go(step) {
 			this._fn = 'go';
-			return super.go(step);
+			return this._runLogged(() => super.go(step), 'go', step);
 		}
 
 		/**
@@ -969,7 +1526,7 @@ const TURTLE = (function () {
 		 */
 		back(step) {
 			this._fn = 'bk';
-			return super.back(step);
+			return this._runLogged(() => super.back(step), 'back', step);
 		}
 
 		/**
@@ -997,7 +1554,7 @@ const TURTLE = (function () {
 		 */
 		turnRight(deg) {
 			this._fn = 'tr';
-			return super.turnRight(deg);
+			return this._runLogged(() => super.turnRight(deg), 'turnRight', deg);
 		}
 
 		/**
@@ -1007,7 +1564,7 @@ const TURTLE = (function () {
 		 */
 		turnLeft(deg) {
 			this._fn = 'tl';
-			return super.turnLeft(deg);
+			return this._runLogged(() => super.turnLeft(deg), 'turnLeft', deg);
 		}
 
 		/**
@@ -1027,6 +1584,55 @@ const TURTLE = (function () {
 			});
 		}
 
+		/**
+		 * x座標（横の場所）
+		 * @param {number=} val 値
+		 * @return x座標／このタートル
+		 */
+		x(val) {
+			if (val === undefined) return this._x;
+			return this._runLogged(() => super.x(val), 'x', val);
+		}
+
+		/**
+		 * y座標（たての場所）
+		 * @param {number=} val 値
+		 * @return y座標／このタートル
+		 */
+		y(val) {
+			if (val === undefined) return this._y;
+			return this._runLogged(() => super.y(val), 'y', val);
+		}
+
+		/**
+		 * 方向
+		 * @param {number=} deg 角度
+		 * @return 角度／このタートル
+		 */
+		direction(deg) {
+			if (deg === undefined) return this._dir;
+			return this._runLogged(() => super.direction(deg), 'direction', deg);
+		}
+
+		/**
+		 * 移動する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number=} opt_dir 方向（オプション）
+		 * @return {Turtle} このタートル
+		 */
+		moveTo(x, y, opt_dir) {
+			return this._runLogged(() => super.moveTo(x, y, opt_dir), 'moveTo', x, y, opt_dir);
+		}
+
+		/**
+		 * ホームに帰る（最初の場所と方向に戻る）
+		 * @return {Turtle} このタートル
+		 */
+		home() {
+			return this._runLogged(() => super.home(), 'home');
+		}
+
 
 		// 場所と方向の変化 --------------------------------------------------------
 
@@ -1042,7 +1648,7 @@ const TURTLE = (function () {
 		 */
 		curveRight(step0, deg, step1, opt_deg, opt_step) {
 			this._fn = 'cr';
-			return super.curveRight(step0, deg, step1, opt_deg, opt_step);
+			return this._runLogged(() => super.curveRight(step0, deg, step1, opt_deg, opt_step), 'curveRight', step0, deg, step1, opt_deg, opt_step);
 		}
 
 		/**
@@ -1056,7 +1662,7 @@ const TURTLE = (function () {
 		 */
 		curveLeft(step0, deg, step1, opt_deg, opt_step) {
 			this._fn = 'cl';
-			return super.curveLeft(step0, deg, step1, opt_deg, opt_step);
+			return this._runLogged(() => super.curveLeft(step0, deg, step1, opt_deg, opt_step), 'curveLeft', step0, deg, step1, opt_deg, opt_step);
 		}
 
 		/**
@@ -1096,7 +1702,7 @@ const TURTLE = (function () {
 		 */
 		arcRight(r, deg) {
 			this._fn = 'ar';
-			return super.arcRight(r, deg);
+			return this._runLogged(() => super.arcRight(r, deg), 'arcRight', r, deg);
 		}
 
 		/**
@@ -1107,7 +1713,7 @@ const TURTLE = (function () {
 		 */
 		arcLeft(r, deg) {
 			this._fn = 'al';
-			return super.arcLeft(r, deg);
+			return this._runLogged(() => super.arcLeft(r, deg), 'arcLeft', r, deg);
 		}
 
 		/**
@@ -1138,7 +1744,7 @@ const TURTLE = (function () {
 		 */
 		dot() {
 			this._fn = 'dot';
-			return super.dot();
+			return this._runLogged(() => super.dot(), 'dot');
 		}
 
 		/**
@@ -1150,7 +1756,7 @@ const TURTLE = (function () {
 		 */
 		circle(r, deg = 360, anticlockwise = false) {
 			this._fn = 'circle';
-			return super.circle(r, deg, anticlockwise);
+			return this._runLogged(() => super.circle(r, deg, anticlockwise), 'circle', r, deg, anticlockwise);
 		}
 
 		/**
@@ -1174,6 +1780,26 @@ const TURTLE = (function () {
 		}
 
 
+		// ペンの状態 --------------------------------------------------------------
+
+
+		/**
+		 * ペンを上げる
+		 * @return {Turtle} このタートル
+		 */
+		penUp() {
+			return this._runLogged(() => super.penUp(), 'penUp');
+		}
+
+		/**
+		 * ペンを下ろす
+		 * @return {Turtle} このタートル
+		 */
+		penDown() {
+			return this._runLogged(() => super.penDown(), 'penDown');
+		}
+
+
 		// アニメーション ----------------------------------------------------------
 
 
@@ -1193,6 +1819,11 @@ const TURTLE = (function () {
 		 * @param {number} num フレーム数
 		 */
 		stepNext(num) {
+			if (this._isLogging) this._finishLog();
+			if (this._logCursor !== null) {
+				this._stepNextOnLog();
+				return;
+			}
 			if (this._isAnimating) {
 				// アニメ終わり
 				if (this._aniFinished) {
@@ -1236,12 +1867,15 @@ const TURTLE = (function () {
 		 * @return {number} 残りのパワー
 		 */
 		_getPower() {
+			// 命令の履歴をたどっているときは、指定した数の命令だけ実行する
+			if (this._logCursor !== null) return this._checkLogCursor();
 			// アニメーション表示でなかったらnullを返す
 			if (!this._visible) return null;
 
 			if (this._aniRemain <= 0) {
 				this._aniFinished = false;
 				this._isClippable = false;
+				this._markLogStop();
 				return 0;
 			}
 			return this._aniRemain;
@@ -1253,7 +1887,7 @@ const TURTLE = (function () {
 		 * @param {number} consumption 消費パワー
 		 */
 		_usePower(consumption) {
-			if (!this._visible) return;
+			if (!this._visible || this._logCursor !== null) return;
 
 			this._aniRemain -= consumption;
 			if (this._aniRemain <= 0) {
@@ -1263,18 +1897,27 @@ const TURTLE = (function () {
 				// penUpの後の必要あり
 				this._aniFinished = false;
 				this._isClippable = false;
+				this._keepCurrentState(p, this._fn);
+				this._markLogStop();
+			}
+		}
 
-				// カメをかくための情報を保存しておく
-				this._curLoc     = [this._x, this._y, this._dir];
-				this._curHomeLoc = [this._homeX, this._homeY, this._homeDir];
-				this._curPen     = p;
-				this._curTrans   = this._ctx.getTransform();
-				this._curFn      = this._fn;
+		/**
+		 * カメをかくための情報を保存しておく（ライブラリ内だけで使用）
+		 * @private
+		 * @param {boolean} p ペンの状態
+		 * @param {string} fn 表示する関数
+		 */
+		_keepCurrentState(p, fn) {
+			this._curLoc     = [this._x, this._y, this._dir];
+			this._curHomeLoc = [this._homeX, this._homeY, this._homeDir];
+			this._curPen     = p;
+			this._curTrans   = this._ctx.getTransform();
+			this._curFn      = fn;
 
-				if (this._onPenChanged !== null && this._lastPenState !== p) this._onPenChanged(this, p);
-				if (this._onMoved !== null) this._onMoved(this, this._x, this._y, p);
-				this._lastPenState = p;
-			}
+			if (this._onPenChanged !== null && this._lastPenState !== p) this._onPenChanged(this, p);
+			if (this._onMoved !== null) this._onMoved(this, this._x, this._y, p);
+			this._lastPenState = p;
 		}
 
 		/**
@@ -1463,6 +2106,1669 @@ const TURTLE = (function () {
 			ctx.shadowColor = color;
 		}
 
+
+		// 命令の履歴 --------------------------------------------------------------
+
+
+		/**
+		 * 命令の履歴を記録する？
+		 * 記録すると、stepTo、stepBack、stepForwardで、途中までかいた絵を表示できます（stepNextを毎フレーム呼ぶこと）。
+		 * 記録するのは、場所や方向を変える命令、図形をかく命令、ペンを上げ下げする命令です。
+		 * 命令を呼び出したソースの場所は、stepToでたどっている今の命令についてだけ調べます。
+		 * すべての命令について調べる時はsourceをtrueにします（時間がかかります）。
+		 * @param {boolean=} val 値
+		 * @param {object=} [opts={}] オプション
+		 * @param {boolean=} [opts.source=false] すべての命令について、呼び出したソースの場所を調べるか
+		 * @return {boolean|Turtle} 命令の履歴を記録する？／このタートル
+		 */
+		recordCommands(val, { source = false } = {}) {
+			if (val === undefined) return this._isLogging;
+			this._isLogging = val;
+			this._logSource = val && source;
+			if (!val) {
+				this._leaveLogCursor();
+				this._log = [];
+				this._lastLog = [];
+				this._logStop = null;
+				this._lastStop = null;
+			}
+			return this;
+		}
+
+		/**
+		 * 記録した命令（前のフレームで実行したもの）
+		 * @return {object[]} 命令（index：番号、name：名前、args：引数、file、line、column：呼び出した場所（調べていなければnull））の配列
+		 */
+		commands() {
+			return this._lastLog.map(e => Object.assign({}, e, { args: [...e.args] }));
+		}
+
+		/**
+		 * 記録した命令の数
+		 * @return {number} 命令の数
+		 */
+		commandCount() {
+			return this._lastLog.length;
+		}
+
+		/**
+		 * 今の命令（アニメーションが止まっている命令か、stepToでたどっている命令）
+		 * そのフレームでカメの命令を実行した後に呼ぶと、その命令を呼び出したソースの場所も分かります。
+		 * @return {object?} 命令
+		 */
+		currentCommand() {
+			let e;
+			if (this._logCursor !== null) {
+				// 今のフレームで記録してあればそちらを使う（ソースの場所を調べてあるため）
+				const i = this._logCursor - 1;
+				e = (i < this._log.length) ? this._log[i] : this._lastLog[Math.min(this._logCursor, this._lastLog.length) - 1];
+			} else if (this._logStop !== null) {
+				e = this._log[this._logStop];
+			} else if (this._lastStop !== null) {
+				e = this._lastLog[this._lastStop];
+			} else {
+				e = this._lastLog[this._lastLog.length - 1];
+			}
+			return e ? Object.assign({}, e, { args: [...e.args] }) : null;
+		}
+
+		/**
+		 * 最初からn番目の命令までを実行した絵にする
+		 * @param {number?} n 命令の数（nullなら普通のアニメーションに戻る）
+		 * @return {Turtle} このタートル
+		 */
+		stepTo(n) {
+			if (n === null) {
+				this._leaveLogCursor();
+				this._syncScrubber();
+				return this;
+			}
+			this._isLogging = true;
+			if (this._logCursor === null) {
+				// アニメーションの開始時点（アニメーション中でなければ今の状態）を、毎フレーム戻る状態として保存しておく
+				if (this._isAnimating) {
+					this._isAnimating = false;
+				} else {
+					this.save();
+				}
+				this._aniMax = 0;
+			}
+			this._logCursor = Math.max(0, Math.floor(n));
+			this._syncScrubber();
+			return this;
+		}
+
+		/**
+		 * 命令をさかのぼる
+		 * @param {number=} [num=1] さかのぼる命令の数
+		 * @return {Turtle} このタートル
+		 */
+		stepBack(num = 1) {
+			const cur = (this._logCursor === null) ? this._lastLog.length : this._logCursor;
+			return this.stepTo(cur - num);
+		}
+
+		/**
+		 * 命令を進める
+		 * @param {number=} [num=1] 進める命令の数
+		 * @return {Turtle} このタートル
+		 */
+		stepForward(num = 1) {
+			const cur = (this._logCursor === null) ? this._lastLog.length : this._logCursor;
+			const max = this._lastLog.length;
+			return this.stepTo((0 < max) ? Math.min(cur + num, max) : cur + num);
+		}
+
+		/**
+		 * 命令をたどるスライダーを作る（ウィジェット・ライブラリが必要）
+		 * @param {object=} [opts={}] スライダーのオプション
+		 * @return {Slider} スライダー
+		 */
+		makeScrubber(opts = {}) {
+			if (typeof WIDGET === 'undefined') throw new Error('Widgetライブラリが必要です。');
+			this._isLogging = true;
+			const max = Math.max(1, this._lastLog.length);
+			const s = new WIDGET.Slider(0, max, max, Object.assign({ int: true, vertical: false }, opts));
+			s.onChange(v => {
+				if (!this._isSyncing) this.stepTo(v);
+			});
+			this._scrubber = s;
+			return s;
+		}
+
+		/**
+		 * 命令を記録する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string} name 名前
+		 * @param {...*} args 引数
+		 */
+		_logCommand(name, ...args) {
+			if (!this._isLogging || 0 < this._logDepth) return;
+			while (args.length && args[args.length - 1] === undefined) args.pop();
+			const e = { index: this._log.length, name, args, file: null, line: null, column: null };
+			if (this._sourceHint !== null) {
+				e.line = this._sourceHint;
+			} else if (this._logSource || e.index === this._logCursor - 1) {
+				// スタック・トレースを調べるのは時間がかかるので、必要な命令だけにする
+				Object.assign(e, callerSource());
+			}
+			this._log.push(e);
+		}
+
+		/**
+		 * 命令を記録して実行する（ライブラリ内だけで使用）
+		 * 命令の中で呼ばれる別の命令は記録しない。
+		 * @private
+		 * @param {function} fn 実行する関数
+		 * @param {string} name 名前
+		 * @param {...*} args 引数
+		 * @return {*} 関数の戻り値
+		 */
+		_runLogged(fn, name, ...args) {
+			this._logCommand(name, ...args);
+			this._logDepth += 1;
+			try {
+				return fn();
+			} finally {
+				this._logDepth -= 1;
+			}
+		}
+
+		/**
+		 * アニメーションが止まった命令を記録する（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_markLogStop() {
+			if (!this._isLogging || this._logDepth === 0 || this._logStop !== null || this._log.length === 0) return;
+			this._logStop = this._log.length - 1;
+			const e = this._log[this._logStop];
+			if (e.line === null) Object.assign(e, callerSource());
+		}
+
+		/**
+		 * 1フレーム分の命令の記録を終える（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_finishLog() {
+			this._lastLog = this._log;
+			this._lastStop = this._logStop;
+			this._log = [];
+			this._logStop = null;
+			this._syncScrubber();
+		}
+
+		/**
+		 * スライダーを命令の数に合わせる（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_syncScrubber() {
+			const s = this._scrubber;
+			if (s === null) return;
+			const max = Math.max(1, this._lastLog.length);
+			const v = (this._logCursor === null) ? max : Math.min(this._logCursor, max);
+			this._isSyncing = true;
+			if (s.max() !== max) s.max(max);
+			if (s.value() !== v) s.value(v);
+			this._isSyncing = false;
+		}
+
+		/**
+		 * 命令の数の制限をチェックする（ライブラリ内だけで使用）
+		 * @private
+		 * @return {number?} 残りのパワー（制限がなければnull）
+		 */
+		_checkLogCursor() {
+			if (this._log.length <= this._logCursor) return null;
+			if (!this._logBlocked) {
+				this._logBlocked = true;
+				const p = this._pen;
+				this.penUp();
+				this._keepCurrentState(p, formatCommand(this._log[this._logCursor - 1]));
+			}
+			this._isClippable = false;
+			return 0;
+		}
+
+		/**
+		 * 命令の履歴をたどっているときに次のフレームに進める（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_stepNextOnLog() {
+			// 最後の命令までたどり着いていたら、今の状態を表示する
+			if (!this._logBlocked) this._keepCurrentState(this._pen, formatCommand(this._lastLog[this._logCursor - 1]));
+			if (this._visible) this._drawTurtle(this._ctx);
+			this._logBlocked = false;
+			this._isClippable = true;
+			// 保存してあった最初の状態に戻す
+			this.restore().save();
+		}
+
+		/**
+		 * 命令の履歴をたどるのをやめて、最初の状態に戻る（ライブラリ内だけで使用）
+		 * @private
+		 */
+		_leaveLogCursor() {
+			if (this._logCursor === null) return;
+			this._logCursor = null;
+			this._logBlocked = false;
+			this.restore();
+		}
+
+	}
+
+
+	/**
+	 * 3Dタートル
+	 * 線は記録しておき、drawで奥から順に紙にかきます。
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class Turtle3D {
+
+		/**
+		 * 3Dのカメを作る
+		 * @constructor
+		 * @param {Paper|CanvasRenderingContext2D} ctx 紙／キャンバス・コンテキスト
+		 */
+		constructor(ctx) {
+			if (typeof STYLE === 'undefined') throw new Error('Styleライブラリが必要です。');
+
+			this._ctx   = ctx;
+			this._stack = [];
+
+			// 場所と、前（h）、右（r）、上（u）の向き（x：右、y：下、z：手前）
+			this._pos  = [0, 0, 0];
+			this._h    = [0, -1, 0];
+			this._r    = [1, 0, 0];
+			this._u    = [0, 0, 1];
+			this._step = 1;
+			this._home = [[0, 0, 0], [0, -1, 0], [1, 0, 0], [0, 0, 1]];
+
+			this._pen         = false;
+			this._stroke      = new STYLE.Stroke();
+			this._strokeCopy  = null;
+			this._lines       = [];
+
+			this._projection  = 'perspective';
+			this._camYaw      = 0;
+			this._camPitch    = 0;
+			this._camDistance = 800;
+			this._zoom        = 1;
+		}
+
+		/**
+		 * 今の状態を保存する
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		save() {
+			this._stack.push([[...this._pos], [...this._h], [...this._r], [...this._u], this._step, new STYLE.Stroke(this._stroke), this._pen]);
+			return this;
+		}
+
+		/**
+		 * 前の状態を復元する
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		restore() {
+			const t = this._stack.pop();
+			[this._pos, this._h, this._r, this._u, this._step, this._stroke, this._pen] = t;
+			this._strokeCopy = null;
+			return this;
+		}
+
+
+		// 場所か方向の変化 --------------------------------------------------------
+
+
+		/**
+		 * 前に進む
+		 * @param {number} step 歩数
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		go(step) {
+			const d = step * this._step, p = this._pos, h = this._h;
+			return this.moveTo(p[0] + h[0] * d, p[1] + h[1] * d, p[2] + h[2] * d);
+		}
+
+		/**
+		 * 後ろに戻る
+		 * @param {number} step 歩数
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		back(step) {
+			return this.go(-step);
+		}
+
+		/**
+		 * 右に回る（上の向きを軸に回る）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		turnRight(deg) {
+			[this._h, this._r] = rotateAxes(this._h, this._r, deg);
+			return this._normalize();
+		}
+
+		/**
+		 * 左に回る（上の向きを軸に回る）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		turnLeft(deg) {
+			return this.turnRight(-deg);
+		}
+
+		/**
+		 * 左右に向きを変える（ヨー、右が正）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		yaw(deg) {
+			return this.turnRight(deg);
+		}
+
+		/**
+		 * 頭を上げる（右の向きを軸に回る、ピッチ）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		pitchUp(deg) {
+			[this._h, this._u] = rotateAxes(this._h, this._u, deg);
+			return this._normalize();
+		}
+
+		/**
+		 * 頭を下げる（右の向きを軸に回る、ピッチ）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		pitchDown(deg) {
+			return this.pitchUp(-deg);
+		}
+
+		/**
+		 * 右に傾く（前の向きを軸に回る、ロール）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		rollRight(deg) {
+			[this._u, this._r] = rotateAxes(this._u, this._r, deg);
+			return this._normalize();
+		}
+
+		/**
+		 * 左に傾く（前の向きを軸に回る、ロール）
+		 * @param {number} deg 角度
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		rollLeft(deg) {
+			return this.rollRight(-deg);
+		}
+
+		/**
+		 * 向きのずれを直す（ライブラリ内だけで使用）
+		 * @private
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		_normalize() {
+			const h = normalizeVec(this._h);
+			const d = dotVec(h, this._r);
+			const r = normalizeVec([this._r[0] - h[0] * d, this._r[1] - h[1] * d, this._r[2] - h[2] * d]);
+			this._h = h;
+			this._r = r;
+			this._u = crossVec(h, r);
+			return this;
+		}
+
+		/**
+		 * 移動する
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number=} [z=0] z座標
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		moveTo(x, y, z = 0) {
+			const np = [x, y, z];
+			if (this._pen) {
+				if (this._strokeCopy === null) this._strokeCopy = new STYLE.Stroke(this._stroke);
+				this._lines.push({ a: this._pos, b: np, stroke: this._strokeCopy });
+			}
+			this._pos = np;
+			return this;
+		}
+
+		/**
+		 * x座標
+		 * @param {number=} val 値
+		 * @return {number|Turtle3D} x座標／この3Dタートル
+		 */
+		x(val) {
+			if (val === undefined) return this._pos[0];
+			return this.moveTo(val, this._pos[1], this._pos[2]);
+		}
+
+		/**
+		 * y座標
+		 * @param {number=} val 値
+		 * @return {number|Turtle3D} y座標／この3Dタートル
+		 */
+		y(val) {
+			if (val === undefined) return this._pos[1];
+			return this.moveTo(this._pos[0], val, this._pos[2]);
+		}
+
+		/**
+		 * z座標（手前が正）
+		 * @param {number=} val 値
+		 * @return {number|Turtle3D} z座標／この3Dタートル
+		 */
+		z(val) {
+			if (val === undefined) return this._pos[2];
+			return this.moveTo(this._pos[0], this._pos[1], val);
+		}
+
+		/**
+		 * 向き
+		 * @return {object} 前（heading）、右（right）、上（up）の向き
+		 */
+		orientation() {
+			return { heading: [...this._h], right: [...this._r], up: [...this._u] };
+		}
+
+		/**
+		 * ホームに帰る（最初の場所と向きに戻る）
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		home() {
+			const [p, h, r, u] = this._home;
+			this.moveTo(...p);
+			this._h = [...h];
+			this._r = [...r];
+			this._u = [...u];
+			return this;
+		}
+
+		/**
+		 * 今の場所と向きをホームに
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		setHome() {
+			this._home = [[...this._pos], [...this._h], [...this._r], [...this._u]];
+			return this;
+		}
+
+		/**
+		 * 1歩の長さ
+		 * @param {number=} val 値
+		 * @return {number|Turtle3D} 1歩の長さ／この3Dタートル
+		 */
+		step(val) {
+			if (val === undefined) return this._step;
+			this._step = val;
+			return this;
+		}
+
+
+		// 描画状態の変化 ----------------------------------------------------------
+
+
+		/**
+		 * ペンを上げる
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		penUp() {
+			return this.pen(false);
+		}
+
+		/**
+		 * ペンを下ろす
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		penDown() {
+			return this.pen(true);
+		}
+
+		/**
+		 * ペンの状態
+		 * @param {boolean=} val 値（下がっているならtrue）
+		 * @return {boolean|Turtle3D} ペンの状態／この3Dタートル
+		 */
+		pen(val) {
+			if (val === undefined) return this._pen;
+			this._pen = val;
+			return this;
+		}
+
+		/**
+		 * 線スタイル
+		 * @param {Stroke=} opt_stroke 設定する線スタイル（オプション）
+		 * @return {Stroke|Turtle3D} 線スタイル／この3Dタートル
+		 */
+		stroke(opt_stroke) {
+			// 線スタイルが変えられるかもしれないので、次の線では新しくコピーする
+			this._strokeCopy = null;
+			if (opt_stroke === undefined) return this._stroke;
+			this._stroke = new STYLE.Stroke(opt_stroke);
+			return this;
+		}
+
+
+		// カメラ ------------------------------------------------------------------
+
+
+		/**
+		 * 投影の方法
+		 * @param {string=} val 'perspective'（透視投影）か'orthographic'（平行投影）
+		 * @return {string|Turtle3D} 投影の方法／この3Dタートル
+		 */
+		projection(val) {
+			if (val === undefined) return this._projection;
+			if (val !== 'perspective' && val !== 'orthographic') throw new Error(`TURTLE::Turtle3D: 投影の方法「${val}」はありません。'perspective'か'orthographic'にしてください。`);
+			this._projection = val;
+			return this;
+		}
+
+		/**
+		 * カメラの角度（原点を中心に回る）
+		 * @param {number=} yaw 左右の角度
+		 * @param {number=} [pitch=0] 上下の角度
+		 * @return {number[]|Turtle3D} 左右と上下の角度／この3Dタートル
+		 */
+		cameraAngle(yaw, pitch = 0) {
+			if (yaw === undefined) return [this._camYaw, this._camPitch];
+			this._camYaw = yaw;
+			this._camPitch = pitch;
+			return this;
+		}
+
+		/**
+		 * カメラを回す（マウスのドラッグなどで使う）
+		 * @param {number} dYaw 左右の角度の変化
+		 * @param {number=} [dPitch=0] 上下の角度の変化
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		orbit(dYaw, dPitch = 0) {
+			return this.cameraAngle(this._camYaw + dYaw, this._camPitch + dPitch);
+		}
+
+		/**
+		 * カメラの距離（透視投影で、原点からカメラまでの距離）
+		 * @param {number=} val 距離
+		 * @return {number|Turtle3D} 距離／この3Dタートル
+		 */
+		cameraDistance(val) {
+			if (val === undefined) return this._camDistance;
+			if (!(0 < val)) throw new RangeError('TURTLE::Turtle3D: カメラの距離は0より大きい数にしてください。');
+			this._camDistance = val;
+			return this;
+		}
+
+		/**
+		 * 拡大率
+		 * @param {number=} val 拡大率
+		 * @return {number|Turtle3D} 拡大率／この3Dタートル
+		 */
+		zoom(val) {
+			if (val === undefined) return this._zoom;
+			this._zoom = val;
+			return this;
+		}
+
+		/**
+		 * 3Dの座標を紙の座標にする
+		 * @param {number} x x座標
+		 * @param {number} y y座標
+		 * @param {number} z z座標
+		 * @return {number[]?} 紙のx座標、y座標と奥行き（手前が大きい）、カメラの後ろならnull
+		 */
+		project(x, y, z) {
+			const v = this._toView([x, y, z]);
+			const s = this._scaleOf(v[2]);
+			return (s === null) ? null : [v[0] * s, v[1] * s, v[2]];
+		}
+
+		/**
+		 * カメラから見た座標にする（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number[]} p 座標
+		 * @return {number[]} カメラから見た座標
+		 */
+		_toView(p) {
+			const ry = rad(this._camYaw), rp = rad(this._camPitch);
+			const cy = Math.cos(ry), sy = Math.sin(ry), cp = Math.cos(rp), sp = Math.sin(rp);
+			const x1 = p[0] * cy + p[2] * sy, z1 = -p[0] * sy + p[2] * cy;
+			return [x1, p[1] * cp - z1 * sp, p[1] * sp + z1 * cp];
+		}
+
+		/**
+		 * 奥行きから拡大率を求める（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} z 奥行き
+		 * @return {number?} 拡大率（カメラの後ろならnull）
+		 */
+		_scaleOf(z) {
+			if (this._projection === 'orthographic') return this._zoom;
+			const w = this._camDistance - z;
+			return (w < TURTLE3D_NEAR) ? null : this._camDistance / w * this._zoom;
+		}
+
+
+		// 描画 --------------------------------------------------------------------
+
+
+		/**
+		 * かいた線を奥から順に紙にかく
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		draw() {
+			const ss = [];
+			for (const l of this._lines) {
+				const s = this._projectLine(l);
+				if (s !== null) ss.push(s);
+			}
+			ss.sort((a, b) => a.depth - b.depth);
+
+			const ctx = this._ctx;
+			for (const s of ss) {
+				const area = { fromX: s.x0, fromY: s.y0, toX: s.x1, toY: s.y1, left: Math.min(s.x0, s.x1), top: Math.min(s.y0, s.y1), right: Math.max(s.x0, s.x1), bottom: Math.max(s.y0, s.y1) };
+				ctx.save();
+				ctx.beginPath();
+				ctx.moveTo(s.x0, s.y0);
+				ctx.lineTo(s.x1, s.y1);
+				s.stroke.assign(ctx, area);
+				ctx.lineWidth = s.stroke.width() * s.scale;
+				ctx.stroke();
+				ctx.restore();
+			}
+			return this;
+		}
+
+		/**
+		 * 線を紙に投影する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} l 線
+		 * @return {object?} 投影した線（カメラの後ろならnull）
+		 */
+		_projectLine(l) {
+			let v0 = this._toView(l.a), v1 = this._toView(l.b);
+			if (this._projection === 'perspective') {
+				// カメラの近くで線を切る
+				const lim = this._camDistance - TURTLE3D_NEAR;
+				if (lim < v0[2] && lim < v1[2]) return null;
+				if (lim < v0[2]) v0 = lerpVec(v1, v0, (lim - v1[2]) / (v0[2] - v1[2]));
+				else if (lim < v1[2]) v1 = lerpVec(v0, v1, (lim - v0[2]) / (v1[2] - v0[2]));
+			}
+			const s0 = this._scaleOf(v0[2]), s1 = this._scaleOf(v1[2]);
+			return {
+				x0: v0[0] * s0, y0: v0[1] * s0, x1: v1[0] * s1, y1: v1[1] * s1,
+				depth: (v0[2] + v1[2]) / 2, scale: (s0 + s1) / 2, stroke: l.stroke,
+			};
+		}
+
+		/**
+		 * かいた線を消す
+		 * @return {Turtle3D} この3Dタートル
+		 */
+		clear() {
+			this._lines = [];
+			return this;
+		}
+
+		/**
+		 * かいた線の数
+		 * @return {number} 線の数
+		 */
+		lineCount() {
+			return this._lines.length;
+		}
+
+		/**
+		 * 紙
+		 * @param {Paper|CanvasRenderingContext2D=} ctx 紙／キャンバス・コンテキスト
+		 * @return {Paper|CanvasRenderingContext2D|Turtle3D} 紙／キャンバス・コンテキスト／この3Dタートル
+		 */
+		context(ctx) {
+			if (ctx === undefined) return this._ctx;
+			this._ctx = ctx;
+			return this;
+		}
+
+	}
+
+
+	// Lシステム ---------------------------------------------------------------
+
+
+	// 記号とカメの命令の対応（標準）
+	const LSYSTEM_COMMANDS = {
+		'F': 'go',
+		'G': 'go',
+		'f': 'move',
+		'+': 'turnRight',
+		'-': 'turnLeft',
+		'|': 'turnBack',
+		'[': 'save',
+		']': 'restore',
+	};
+
+	// 記号と3Dのカメの命令の対応（標準、カメがその命令を持っている時だけ使う）
+	const LSYSTEM_3D_COMMANDS = {
+		'&': 'pitchDown',
+		'^': 'pitchUp',
+		'\\': 'rollLeft',
+		'/': 'rollRight',
+	};
+
+	// 引数がないときに角度を渡すカメの命令
+	const LSYSTEM_TURN_COMMANDS = ['turnRight', 'turnLeft', 'tr', 'tl', 'right', 'left', 'rt', 'lt', 'yaw', 'pitchUp', 'pitchDown', 'rollLeft', 'rollRight'];
+
+	// 記号の数の上限
+	const LSYSTEM_MAX_LENGTH = 1000000;
+
+	/**
+	 * 文字列を記号（モジュール）の配列にする
+	 * 「F(10,2)」のように、記号のあとのかっこの中に数を書くとパラメーターになります。
+	 * @param {string} str 文字列
+	 * @return {object[]} 記号（c：文字、ps：パラメーターの配列）の配列
+	 */
+	const parseModules = function (str) {
+		const ms = [];
+		for (let i = 0; i < str.length; i += 1) {
+			const c = str[i];
+			if (/\s/.test(c)) continue;
+			const ps = [];
+			if (str[i + 1] === '(') {
+				const e = str.indexOf(')', i + 2);
+				if (e === -1) throw new Error(`TURTLE::LSystem: 「${c}(」のかっこが閉じていません。`);
+				for (const a of str.substring(i + 2, e).split(',')) {
+					const v = Number(a);
+					if (a.trim() === '' || Number.isNaN(v)) throw new Error(`TURTLE::LSystem: 「${c}」のパラメーター「${a.trim()}」は数ではありません。`);
+					ps.push(v);
+				}
+				i = e;
+			}
+			ms.push({ c, ps });
+		}
+		return ms;
+	};
+
+	/**
+	 * 記号（モジュール）の配列を文字列にする
+	 * @param {object[]} ms 記号の配列
+	 * @return {string} 文字列
+	 */
+	const stringifyModules = function (ms) {
+		return ms.map(m => m.ps.length ? `${m.c}(${m.ps.join(',')})` : m.c).join('');
+	};
+
+
+	/**
+	 * Lシステム
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class LSystem {
+
+		/**
+		 * Lシステムを作る
+		 * 書き換えルールの値は、文字列（決まった書き換え）、配列（確率的な書き換え、要素は文字列か[重み, 文字列]）、
+		 * 関数（パラメーター付きの書き換え、引数はパラメーターとサイコロ、文字列を返す。nullなら書き換えない）のどれかです。
+		 * @constructor
+		 * @param {string} axiom 初期の文字列（公理）
+		 * @param {object=} [rules={}] 書き換えルール（記号から書き換え後へのマップ）
+		 * @param {object=} opt オプション
+		 * @param {number=} [opt.angle=90] 回る角度
+		 * @param {number=} [opt.length=1] 進む歩数
+		 * @param {number=} opt.seed 確率的な書き換えに使うサイコロのシード値
+		 * @param {object=} [opt.commands={}] 記号とカメの命令（命令の名前か関数）の対応（標準の対応に追加）
+		 */
+		constructor(axiom, rules = {}, { angle = 90, length = 1, seed, commands = {} } = {}) {
+			this._axiom    = parseModules(axiom);
+			this._rules    = Object.assign({}, rules);
+			this._angle    = angle;
+			this._length   = length;
+			this._seed     = seed;
+			this._commands = Object.assign({}, LSYSTEM_COMMANDS, commands);
+
+			this._dice   = null;
+			this._cache  = null;
+			this._cacheN = -1;
+		}
+
+		/**
+		 * 初期の文字列（公理）
+		 * @param {string=} val 値
+		 * @return {string|LSystem} 初期の文字列／このLシステム
+		 */
+		axiom(val) {
+			if (val === undefined) return stringifyModules(this._axiom);
+			this._axiom = parseModules(val);
+			this._cacheN = -1;
+			return this;
+		}
+
+		/**
+		 * 書き換えルール
+		 * @param {string} symbol 記号
+		 * @param {string|Array|function=} rule 書き換え後（nullならルールを消す）
+		 * @return {string|Array|function|LSystem} 書き換え後／このLシステム
+		 */
+		rule(symbol, rule) {
+			if (rule === undefined) return this._rules[symbol];
+			if (rule === null) delete this._rules[symbol];
+			else this._rules[symbol] = rule;
+			this._cacheN = -1;
+			return this;
+		}
+
+		/**
+		 * 記号に対応するカメの命令
+		 * 命令の名前（'go'、'turnRight'など）か、関数（引数はカメとパラメーター）を指定します。
+		 * 'move'はペンを上げて進み、'turnBack'は後ろを向きます。
+		 * 3Dのカメでは、'&'、'^'、'\\'、'/'が標準でpitchDown、pitchUp、rollLeft、rollRightになります。
+		 * @param {string} symbol 記号
+		 * @param {string|function=} cmd 命令（nullなら何もしない）
+		 * @return {string|function|LSystem} 命令／このLシステム
+		 */
+		command(symbol, cmd) {
+			if (cmd === undefined) return this._commands[symbol];
+			this._commands[symbol] = cmd;
+			return this;
+		}
+
+		/**
+		 * 回る角度
+		 * @param {number=} deg 角度
+		 * @return {number|LSystem} 角度／このLシステム
+		 */
+		angle(deg) {
+			if (deg === undefined) return this._angle;
+			this._angle = deg;
+			return this;
+		}
+
+		/**
+		 * 進む歩数
+		 * @param {number=} val 歩数
+		 * @return {number|LSystem} 歩数／このLシステム
+		 */
+		length(val) {
+			if (val === undefined) return this._length;
+			this._length = val;
+			return this;
+		}
+
+		/**
+		 * 書き換えを繰り返した文字列を作る
+		 * 確率的な書き換えでも、同じシード値なら毎回同じ文字列になります。
+		 * @param {number} iterations 繰り返す回数
+		 * @return {string} 文字列
+		 */
+		generate(iterations) {
+			return stringifyModules(this._generate(iterations));
+		}
+
+		/**
+		 * 書き換えを繰り返した記号の配列を作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {number} iterations 繰り返す回数
+		 * @return {object[]} 記号の配列
+		 */
+		_generate(iterations) {
+			if (this._cacheN === iterations) return this._cache;
+			if (this._dice !== null) this._dice.reset();
+
+			let ms = this._axiom;
+			for (let i = 0; i < iterations; i += 1) {
+				const next = [];
+				for (const m of ms) {
+					const r = this._rules[m.c];
+					const str = (r === undefined) ? null : this._rewrite(r, m);
+					if (str === null) next.push(m);
+					else next.push(...parseModules(str));
+				}
+				if (LSYSTEM_MAX_LENGTH < next.length) throw new RangeError(`TURTLE::LSystem: 記号の数が多すぎます（${next.length}個）。繰り返す回数を減らしてください。`);
+				ms = next;
+			}
+			this._cache  = ms;
+			this._cacheN = iterations;
+			return ms;
+		}
+
+		/**
+		 * 記号を書き換える（ライブラリ内だけで使用）
+		 * @private
+		 * @param {string|Array|function} rule 書き換えルール
+		 * @param {object} m 記号
+		 * @return {string?} 書き換え後の文字列（書き換えないならnull）
+		 */
+		_rewrite(rule, m) {
+			if (typeof rule === 'string') return rule;
+			if (typeof rule === 'function') {
+				const str = rule(...m.ps, this._getDice());
+				return (str === undefined || str === null) ? null : String(str);
+			}
+			if (Array.isArray(rule)) {
+				const cs = rule.map(c => Array.isArray(c) ? c : [1, c]);
+				const sum = cs.reduce((s, c) => s + c[0], 0);
+				let v = this._getDice().random(0, sum);
+				for (const [w, str] of cs) {
+					if ((v -= w) < 0) return str;
+				}
+				return cs[cs.length - 1][1];
+			}
+			throw new Error(`TURTLE::LSystem: 「${m.c}」の書き換えルールが正しくありません。`);
+		}
+
+		/**
+		 * サイコロを取得する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {Dice} サイコロ
+		 */
+		_getDice() {
+			if (this._dice === null) {
+				if (typeof CALC === 'undefined') throw new Error('Calcライブラリが必要です。');
+				this._dice = new CALC.Dice(this._seed);
+			}
+			return this._dice;
+		}
+
+		/**
+		 * カメを使ってかく
+		 * アニメーションを表示するカメなら、stepNextで少しずつかかれます。
+		 * @param {Turtle|Turtle3D} t カメ
+		 * @param {number} iterations 書き換えを繰り返す回数
+		 * @return {LSystem} このLシステム
+		 */
+		draw(t, iterations) {
+			const ms = this._generate(iterations);
+			const cs = Object.assign({}, this._commands);
+			for (const [c, cmd] of Object.entries(LSYSTEM_3D_COMMANDS)) {
+				if (!(c in cs) && typeof t[cmd] === 'function') cs[c] = cmd;
+			}
+			const pen = t.pen();
+			if (!pen) t.pen(true);  // 命令の履歴に残らないようにpenで変える
+			for (const m of ms) {
+				const cmd = cs[m.c];
+				if (cmd !== undefined && cmd !== null) this._execute(t, cmd, m.ps);
+			}
+			if (!pen) t.pen(false);
+			return this;
+		}
+
+		/**
+		 * カメの命令を実行する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {Turtle|Turtle3D} t カメ
+		 * @param {string|function} cmd 命令
+		 * @param {number[]} ps パラメーター
+		 */
+		_execute(t, cmd, ps) {
+			if (typeof cmd === 'function') {
+				cmd(t, ...ps);
+				return;
+			}
+			switch (cmd) {
+				case 'save':
+					t.save();
+					break;
+				case 'restore':
+					// ペンを上げて枝をかき終えてから戻る（戻る線がかかれないように）
+					t.penUp();
+					t.restore();
+					break;
+				case 'move':
+					t.penUp();
+					t.go(ps.length ? ps[0] : this._length);
+					t.penDown();
+					break;
+				case 'turnBack':
+					t.turnRight(180);
+					break;
+				default:
+					if (typeof t[cmd] !== 'function') throw new Error(`TURTLE::LSystem: カメの命令「${cmd}」はありません。`);
+					if (ps.length) t[cmd](...ps);
+					else t[cmd](LSYSTEM_TURN_COMMANDS.includes(cmd) ? this._angle : this._length);
+					break;
+			}
+		}
+
+	}
+
+
+	// Logo --------------------------------------------------------------------
+
+
+	// Logoの命令とカメの命令（引数の数、引数をカメの命令に合わせる関数）の対応
+	const LOGO_PRIMITIVES = {
+		'FD'        : ['go', 1],
+		'FORWARD'   : ['go', 1],
+		'BK'        : ['back', 1],
+		'BACK'      : ['back', 1],
+		'RT'        : ['turnRight', 1],
+		'RIGHT'     : ['turnRight', 1],
+		'LT'        : ['turnLeft', 1],
+		'LEFT'      : ['turnLeft', 1],
+		'PU'        : ['penUp', 0],
+		'PENUP'     : ['penUp', 0],
+		'PD'        : ['penDown', 0],
+		'PENDOWN'   : ['penDown', 0],
+		'SETXY'     : ['moveTo', 2, ([x, y], t) => [x, -y, t.direction()]],  // Logoのyは上向きで、方向は変えない
+		'SETH'      : ['direction', 1],
+		'SETHEADING': ['direction', 1],
+		'HOME'      : ['home', 0],
+	};
+
+	// Logoのキーワード
+	const LOGO_KEYWORDS = ['TO', 'END', 'REPEAT', 'IF', 'IFELSE', 'MAKE', 'STOP'];
+
+	// 実行できる命令の数の上限
+	const LOGO_MAX_STEPS = 1000000;
+
+	// 手続きの呼び出しの深さの上限
+	const LOGO_MAX_DEPTH = 500;
+
+	// STOPで手続きを抜けるための印
+	const LOGO_STOP = {};
+
+	// エラー・メッセージ
+	const LOGO_MESSAGES = {
+		ja: {
+			at             : (line) => `${line}行目：`,
+			unexpectedChar : (c) => `「${c}」は使えない文字です。`,
+			unexpected     : (t) => `「${t}」はここに書けません。`,
+			unexpectedEnd  : () => 'ソースが途中で終わっています。',
+			unknownCommand : (n) => `「${n}」という命令はありません。`,
+			missingInput   : (n) => `「${n}」に渡す値が足りません。`,
+			expectBracket  : (n) => `「${n}」のあとに「[」が必要です。`,
+			unclosedBracket: () => '「]」が足りません。',
+			unclosedParen  : () => '「)」が足りません。',
+			procName       : () => '「TO」のあとに手続きの名前が必要です。',
+			procReserved   : (n) => `「${n}」は手続きの名前に使えません。`,
+			missingEnd     : (n) => `「TO ${n}」に対応する「END」がありません。`,
+			makeName       : () => '「MAKE」のあとに「"名前」が必要です。',
+			unknownVar     : (n) => `変数「${n}」はありません。`,
+			divZero        : () => '0で割ることはできません。',
+			tooDeep        : (n) => `手続き「${n}」の呼び出しが深すぎます。`,
+			tooLong        : () => '命令の数が多すぎます（無限ループになっていませんか？）。',
+		},
+		en: {
+			at             : (line) => `line ${line}: `,
+			unexpectedChar : (c) => `"${c}" is not a valid character.`,
+			unexpected     : (t) => `Unexpected "${t}".`,
+			unexpectedEnd  : () => 'Unexpected end of the program.',
+			unknownCommand : (n) => `I don't know how to ${n}.`,
+			missingInput   : (n) => `Not enough inputs to ${n}.`,
+			expectBracket  : (n) => `${n} needs "[" here.`,
+			unclosedBracket: () => 'Missing "]".',
+			unclosedParen  : () => 'Missing ")".',
+			procName       : () => 'TO needs a procedure name.',
+			procReserved   : (n) => `${n} cannot be used as a procedure name.`,
+			missingEnd     : (n) => `Missing END for TO ${n}.`,
+			makeName       : () => 'MAKE needs a quoted name like "x.',
+			unknownVar     : (n) => `${n} has no value.`,
+			divZero        : () => 'Division by zero.',
+			tooDeep        : (n) => `Too many nested calls of ${n}.`,
+			tooLong        : () => 'Too many commands were run (is there an infinite loop?).',
+		},
+	};
+
+	/**
+	 * 行番号付きのエラーを作る
+	 * @param {string} lang 言語（'ja'か'en'）
+	 * @param {number} line 行番号
+	 * @param {string} key メッセージの種類
+	 * @param {...*} args メッセージの引数
+	 * @return {Error} エラー（lineに行番号）
+	 */
+	const logoError = function (lang, line, key, ...args) {
+		const ms = LOGO_MESSAGES[lang] || LOGO_MESSAGES.ja;
+		const e = new Error('TURTLE::Logo: ' + ms.at(line) + ms[key](...args));
+		e.line = line;
+		return e;
+	};
+
+	/**
+	 * Logoのソースを字句（トークン）に分ける
+	 * @param {string} src ソース
+	 * @param {string} lang 言語
+	 * @return {object[]} 字句（type：種類、v：値、line：行番号）の配列
+	 */
+	const tokenizeLogo = function (src, lang) {
+		const ts = [];
+		const isDelim = c => /[\s\[\]()+\-*\/=<>;:"]/.test(c);
+		let line = 1;
+		for (let i = 0; i < src.length; i += 1) {
+			const c = src[i];
+			if (c === '\n') {
+				line += 1;
+			} else if (/\s/.test(c)) {
+				continue;
+			} else if (c === ';') {  // コメント
+				while (i + 1 < src.length && src[i + 1] !== '\n') i += 1;
+			} else if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(src[i + 1]))) {
+				const m = /^(?:[0-9]+\.?[0-9]*|\.[0-9]+)/.exec(src.substring(i));
+				ts.push({ type: 'num', v: Number(m[0]), line });
+				i += m[0].length - 1;
+			} else if (c === ':' || c === '"') {
+				let j = i + 1;
+				while (j < src.length && !isDelim(src[j])) j += 1;
+				ts.push({ type: (c === ':') ? 'var' : 'quoted', v: src.substring(i + 1, j).toUpperCase(), line });
+				i = j - 1;
+			} else if ('[]()'.includes(c)) {
+				ts.push({ type: c, v: c, line });
+			} else if ((c === '<' || c === '>') && (src[i + 1] === '=' || (c === '<' && src[i + 1] === '>'))) {
+				ts.push({ type: 'op', v: src.substr(i, 2), line });
+				i += 1;
+			} else if (c === '-' && (i === 0 || /[\s\[(]/.test(src[i - 1])) && /[^\s]/.test(src[i + 1] || ' ')) {
+				// 「SETXY -10 -20」のように、前に空白があって後ろに空白がないマイナスは符号とする
+				ts.push({ type: 'op', v: c, line, unary: true });
+			} else if ('+-*/=<>'.includes(c)) {
+				ts.push({ type: 'op', v: c, line });
+			} else if (!isDelim(c) && /[\p{L}\p{N}_.?!]/u.test(c)) {
+				let j = i + 1;
+				while (j < src.length && !isDelim(src[j])) j += 1;
+				ts.push({ type: 'word', v: src.substring(i, j).toUpperCase(), line });
+				i = j - 1;
+			} else {
+				throw logoError(lang, line, 'unexpectedChar', c);
+			}
+		}
+		return ts;
+	};
+
+
+	/**
+	 * Logoの構文解析器（ライブラリ内だけで使用）
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class LogoParser {
+
+		/**
+		 * 構文解析器を作る
+		 * @constructor
+		 * @param {object[]} tokens 字句の配列
+		 * @param {string} lang 言語
+		 */
+		constructor(tokens, lang) {
+			this._ts   = tokens;
+			this._i    = 0;
+			this._lang = lang;
+			this._arities = {};
+
+			// 手続きは定義より前でも呼べるように、先に引数の数を調べておく
+			for (let i = 0; i < tokens.length - 1; i += 1) {
+				if (tokens[i].type !== 'word' || tokens[i].v !== 'TO' || tokens[i + 1].type !== 'word') continue;
+				let n = 0;
+				while (tokens[i + 2 + n] && tokens[i + 2 + n].type === 'var') n += 1;
+				this._arities[tokens[i + 1].v] = n;
+			}
+		}
+
+		/**
+		 * プログラムを解析する
+		 * @return {object} プログラム（main：文の配列、procs：手続き）
+		 */
+		parse() {
+			const main = [], procs = {};
+			while (this._peek()) {
+				const t = this._peek();
+				if (t.type === 'word' && t.v === 'TO') {
+					const p = this._procedure();
+					procs[p.name] = p;
+				} else {
+					main.push(this._statement());
+				}
+			}
+			return { main, procs };
+		}
+
+		/**
+		 * エラーを作る（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object=} t エラーの場所の字句
+		 * @param {string} key メッセージの種類
+		 * @param {...*} args メッセージの引数
+		 * @return {Error} エラー
+		 */
+		_error(t, key, ...args) {
+			const last = this._ts[this._ts.length - 1];
+			return logoError(this._lang, t ? t.line : (last ? last.line : 1), key, ...args);
+		}
+
+		/**
+		 * 次の字句を見る（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object?} 字句
+		 */
+		_peek() {
+			return this._ts[this._i] || null;
+		}
+
+		/**
+		 * 次の字句を取り出す（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object?} 字句
+		 */
+		_next() {
+			return this._ts[this._i++] || null;
+		}
+
+		/**
+		 * 手続きの定義（TO 名前 :引数 … END）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 手続き
+		 */
+		_procedure() {
+			const to = this._next();
+			const n = this._next();
+			if (!n || n.type !== 'word') throw this._error(n || to, 'procName');
+			if (LOGO_KEYWORDS.includes(n.v) || LOGO_PRIMITIVES[n.v]) throw this._error(n, 'procReserved', n.v);
+
+			const params = [];
+			while (this._peek() && this._peek().type === 'var') params.push(this._next().v);
+			const body = [];
+			for (;;) {
+				const t = this._peek();
+				if (!t) throw this._error(to, 'missingEnd', n.v);
+				if (t.type === 'word' && t.v === 'END') break;
+				if (t.type === 'word' && t.v === 'TO') throw this._error(t, 'missingEnd', n.v);
+				body.push(this._statement());
+			}
+			this._next();
+			return { name: n.v, params, body, line: to.line };
+		}
+
+		/**
+		 * 文を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 文
+		 */
+		_statement() {
+			const t = this._next();
+			if (t.type !== 'word') throw this._error(t, 'unexpected', t.v);
+			const line = t.line;
+
+			switch (t.v) {
+				case 'REPEAT':
+					return { type: 'repeat', count: this._input(t), body: this._block(t), line };
+				case 'IF': {
+					const cond = this._input(t), body = this._block(t);
+					const p = this._peek();
+					const elseBody = (p && p.type === '[') ? this._block(t) : null;
+					return { type: 'if', cond, body, elseBody, line };
+				}
+				case 'IFELSE':
+					return { type: 'if', cond: this._input(t), body: this._block(t), elseBody: this._block(t), line };
+				case 'MAKE': {
+					const n = this._next();
+					if (!n || n.type !== 'quoted' || n.v === '') throw this._error(n || t, 'makeName');
+					return { type: 'make', name: n.v, value: this._input(t), line };
+				}
+				case 'STOP':
+					return { type: 'stop', line };
+				case 'TO':
+				case 'END':
+					throw this._error(t, 'unexpected', t.v);
+			}
+			const prim = LOGO_PRIMITIVES[t.v];
+			if (prim) {
+				const args = [];
+				for (let i = 0; i < prim[1]; i += 1) args.push(this._input(t));
+				return { type: 'command', name: t.v, method: prim[0], args, convert: prim[2] || null, line };
+			}
+			if (t.v in this._arities) {
+				const args = [];
+				for (let i = 0; i < this._arities[t.v]; i += 1) args.push(this._input(t));
+				return { type: 'call', name: t.v, args, line };
+			}
+			throw this._error(t, 'unknownCommand', t.v);
+		}
+
+		/**
+		 * 命令に渡す値（式）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} cmd 命令の字句
+		 * @return {object} 式
+		 */
+		_input(cmd) {
+			const t = this._peek();
+			if (!t || !(t.type === 'num' || t.type === 'var' || t.type === '(' || (t.type === 'op' && t.v === '-'))) {
+				throw this._error(t || cmd, 'missingInput', cmd.v);
+			}
+			return this._expression();
+		}
+
+		/**
+		 * 命令の列（[ … ]）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} cmd 命令の字句
+		 * @return {object[]} 文の配列
+		 */
+		_block(cmd) {
+			const open = this._next();
+			if (!open || open.type !== '[') throw this._error(open || cmd, 'expectBracket', cmd.v);
+			const body = [];
+			for (;;) {
+				const t = this._peek();
+				if (!t) throw this._error(open, 'unclosedBracket');
+				if (t.type === ']') break;
+				body.push(this._statement());
+			}
+			this._next();
+			return body;
+		}
+
+		/**
+		 * 式（比較）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 式
+		 */
+		_expression() {
+			const l = this._additive();
+			const t = this._peek();
+			if (t && t.type === 'op' && ['=', '<', '>', '<=', '>=', '<>'].includes(t.v)) {
+				this._next();
+				return { type: 'binary', op: t.v, l, r: this._additive(), line: t.line };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（足し算、引き算）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 式
+		 */
+		_additive() {
+			let l = this._term();
+			for (let t = this._peek(); t && t.type === 'op' && (t.v === '+' || t.v === '-') && !t.unary; t = this._peek()) {
+				this._next();
+				l = { type: 'binary', op: t.v, l, r: this._term(), line: t.line };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（かけ算、割り算）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 式
+		 */
+		_term() {
+			let l = this._unary();
+			for (let t = this._peek(); t && t.type === 'op' && (t.v === '*' || t.v === '/'); t = this._peek()) {
+				this._next();
+				l = { type: 'binary', op: t.v, l, r: this._unary(), line: t.line };
+			}
+			return l;
+		}
+
+		/**
+		 * 式（符号、数、変数、かっこ）を解析する（ライブラリ内だけで使用）
+		 * @private
+		 * @return {object} 式
+		 */
+		_unary() {
+			const t = this._next();
+			if (!t) throw this._error(null, 'unexpectedEnd');
+			if (t.type === 'op' && t.v === '-') return { type: 'negate', e: this._unary(), line: t.line };
+			if (t.type === 'num') return { type: 'number', v: t.v, line: t.line };
+			if (t.type === 'var') return { type: 'variable', name: t.v, line: t.line };
+			if (t.type === '(') {
+				const e = this._expression();
+				const c = this._next();
+				if (!c || c.type !== ')') throw this._error(c || t, 'unclosedParen');
+				return e;
+			}
+			throw this._error(t, 'unexpected', t.v);
+		}
+
+	}
+
+
+	/**
+	 * Logoインタープリター
+	 * @author Takuto Yanagida
+	 * @version 2026-10-19
+	 */
+	class Logo {
+
+		/**
+		 * Logoインタープリターを作る
+		 * @constructor
+		 * @param {TurtleBase} turtle カメ
+		 * @param {object=} opt オプション
+		 * @param {string=} [opt.lang='ja'] エラー・メッセージの言語（'ja'か'en'）
+		 */
+		constructor(turtle, { lang = 'ja' } = {}) {
+			this._t    = turtle;
+			this._lang = lang;
+
+			this._src     = null;
+			this._program = null;
+			this._frames  = [];
+			this._steps   = 0;
+			this._line    = 0;
+
+			this._gen     = null;
+			this._isDone  = false;
+			this._lastPen = false;
+		}
+
+		/**
+		 * エラー・メッセージの言語
+		 * @param {string=} val 言語（'ja'か'en'）
+		 * @return {string|Logo} 言語／このインタープリター
+		 */
+		lang(val) {
+			if (val === undefined) return this._lang;
+			this._lang = val;
+			this._src = null;
+			return this;
+		}
+
+		/**
+		 * ソースを読み込む（構文の間違いがあれば、行番号付きのエラーを投げる）
+		 * @param {string} src ソース
+		 * @return {Logo} このインタープリター
+		 */
+		load(src) {
+			if (src !== this._src) {
+				this._program = new LogoParser(tokenizeLogo(src, this._lang), this._lang).parse();
+				this._src = src;
+			}
+			this.reset();
+			return this;
+		}
+
+		/**
+		 * 最後まで実行する
+		 * アニメーションを表示するカメなら、stepNextで少しずつかかれます（カメのパワーがなくなったら実行を止めます）。
+		 * @param {string=} src ソース（指定しなければ読み込んであるソース）
+		 * @return {Logo} このインタープリター
+		 */
+		run(src) {
+			if (src !== undefined) this.load(src);
+			const t = this._t, pen = t.pen();
+			if (!pen) t.pen(true);  // Logoではペンを下ろした状態から始める（命令の履歴に残らないようにpenで変える）
+			for (const _ of this._execute()) {
+				if (t._getPower() === 0) break;
+			}
+			if (!pen) t.pen(false);
+			return this;
+		}
+
+		/**
+		 * 1命令ずつ実行する
+		 * かいた線はすぐに紙に反映されます。
+		 * @param {number=} [num=1] 実行する命令の数
+		 * @return {boolean} まだ続きがあるか
+		 */
+		step(num = 1) {
+			if (this._isDone) return false;
+			const t = this._t;
+			if (this._gen === null) {
+				this._gen = this._execute();
+				this._lastPen = t.pen();
+				t.pen(true);
+			}
+			try {
+				for (let i = 0; i < num; i += 1) {
+					if (this._gen.next().done) {
+						this._isDone = true;
+						if (!this._lastPen) t.pen(false);
+						return false;
+					}
+				}
+			} catch (e) {
+				this._isDone = true;
+				throw e;
+			}
+			// ペンを下ろしたままだと線がかかれないので、いったんペンを上げ下げする
+			if (t.pen()) t.pen(false).pen(true);
+			return true;
+		}
+
+		/**
+		 * 1命令ずつの実行を最初に戻す
+		 * @return {Logo} このインタープリター
+		 */
+		reset() {
+			this._gen    = null;
+			this._isDone = false;
+			this._line   = 0;
+			return this;
+		}
+
+		/**
+		 * 今、実行している行
+		 * @return {number} 行番号
+		 */
+		line() {
+			return this._line;
+		}
+
+		/**
+		 * プログラムを実行する（ライブラリ内だけで使用）
+		 * @private
+		 */
+		*_execute() {
+			if (this._program === null) return;
+			this._frames = [new Map()];
+			this._steps  = 0;
+			try {
+				yield* this._executeBlock(this._program.main);
+			} catch (e) {
+				if (e !== LOGO_STOP) throw e;
+			}
+		}
+
+		/**
+		 * 文の列を実行する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object[]} body 文の配列
+		 */
+		*_executeBlock(body) {
+			for (const s of body) {
+				this._line = s.line;
+				if (LOGO_MAX_STEPS < ++this._steps) throw logoError(this._lang, s.line, 'tooLong');
+				yield* this._executeStatement(s);
+			}
+		}
+
+		/**
+		 * 文を実行する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} s 文
+		 */
+		*_executeStatement(s) {
+			switch (s.type) {
+				case 'command': {
+					let args = s.args.map(e => this._evaluate(e));
+					if (s.convert !== null) args = s.convert(args, this._t);
+					// カメが命令の履歴を記録するときのために、Logoのソースの行を伝える
+					this._t._sourceHint = s.line;
+					try {
+						this._t[s.method](...args);
+					} finally {
+						this._t._sourceHint = null;
+					}
+					yield s.line;
+					break;
+				}
+				case 'repeat': {
+					const n = Math.floor(this._evaluate(s.count));
+					for (let i = 0; i < n; i += 1) {
+						if (LOGO_MAX_STEPS < ++this._steps) throw logoError(this._lang, s.line, 'tooLong');
+						yield* this._executeBlock(s.body);
+					}
+					break;
+				}
+				case 'if':
+					if (this._evaluate(s.cond)) yield* this._executeBlock(s.body);
+					else if (s.elseBody) yield* this._executeBlock(s.elseBody);
+					break;
+				case 'make': {
+					const v = this._evaluate(s.value);
+					const f = this._frames.slice().reverse().find(f => f.has(s.name)) || this._frames[0];
+					f.set(s.name, v);
+					break;
+				}
+				case 'stop':
+					throw LOGO_STOP;
+				case 'call': {
+					const p = this._program.procs[s.name];
+					if (LOGO_MAX_DEPTH <= this._frames.length) throw logoError(this._lang, s.line, 'tooDeep', s.name);
+					const f = new Map();
+					s.args.forEach((e, i) => f.set(p.params[i], this._evaluate(e)));
+					this._frames.push(f);
+					try {
+						yield* this._executeBlock(p.body);
+					} catch (e) {
+						if (e !== LOGO_STOP) throw e;
+					} finally {
+						this._frames.pop();
+					}
+					break;
+				}
+			}
+		}
+
+		/**
+		 * 式を計算する（ライブラリ内だけで使用）
+		 * @private
+		 * @param {object} e 式
+		 * @return {number|boolean} 値
+		 */
+		_evaluate(e) {
+			switch (e.type) {
+				case 'number':
+					return e.v;
+				case 'negate':
+					return -this._evaluate(e.e);
+				case 'variable':
+					for (let i = this._frames.length - 1; 0 <= i; i -= 1) {
+						if (this._frames[i].has(e.name)) return this._frames[i].get(e.name);
+					}
+					throw logoError(this._lang, e.line, 'unknownVar', e.name);
+			}
+			const l = this._evaluate(e.l), r = this._evaluate(e.r);
+			switch (e.op) {
+				case '+': return l + r;
+				case '-': return l - r;
+				case '*': return l * r;
+				case '/':
+					if (r === 0) throw logoError(this._lang, e.line, 'divZero');
+					return l / r;
+				case '=': return l === r;
+				case '<': return l < r;
+				case '>': return l > r;
+				case '<=': return l <= r;
+				case '>=': return l >= r;
+				case '<>': return l !== r;
+			}
+		}
+
 	}
 
 
@@ -1529,14 +3835,15 @@ const TURTLE = (function () {
 	};
 
 	// 関数の別名を登録する
-	for (const target of [Turtle, TurtleBase]) {
+	for (const target of [Turtle, TurtleBase, Turtle3D]) {
 		for (const [orig, as] of Object.entries(aliasMap)) {
+			if (target.prototype[orig] === undefined) continue;
 			for (const a of as) {
 				target.prototype[a] = target.prototype[orig];
 			}
 		}
 	}
 
-	return { Turtle, TurtleBase, makeStamp };
+	return { Turtle, TurtleBase, Turtle3D, LSystem, Logo, makeStamp };
 
 }());